@@ -0,0 +1,86 @@
+/**
+ * Input completion for the web calculator
+ *
+ * Finds completions for the word under the cursor (calculator commands, variables
+ * and functions, including @@Module@ qualified names) and the function call that
+ * encloses the cursor, which the calculator uses for signature hints.
+ */
+
+// Commands recognised by WebCalculator.processExpression
+const COMMANDS = [
+  "BASE", "BASES", "BIN", "BOTH", "CF", "CLEAR", "CONVERT", "DEC", "DECI", "DIGITS",
+  "EGYPT", "ENG", "EXPORT", "FACT", "GROUP", "HELP", "HEX", "INFO", "LIMIT", "LOAD",
+  "MIX", "OCT", "PERIOD", "PM", "RADIX", "RAT", "SAVE", "SCI", "SCIPERIOD", "SCIPREC",
+  "SESSIONS", "SHARE", "SIPREFIX", "TIMEOUT", "TYPESET", "UNCERT", "VARS",
+];
+
+// Generated names (frozen snapshots, anonymous lambdas) are never offered
+const INTERNAL_NAME = /^@@(?:Static|Anon)@/;
+
+/**
+ * Find the identifier that ends at the cursor
+ * @returns {{start: number, word: string}}
+ */
+function findWordAt(text, cursor) {
+  const word = text.slice(0, cursor).match(/[@\w]*$/)[0];
+  return { start: cursor - word.length, word };
+}
+
+/**
+ * Candidate completions for a partial word, sorted with same-case matches first
+ * @param {string} word - Partial identifier typed so far
+ * @param {Object} sources - { variables, functions, commands } name lists
+ * @param {boolean} atLineStart - Whether commands may be offered
+ * @returns {Array<{name: string, kind: string, text: string}>}
+ */
+function getCompletions(word, { variables = [], functions = [], commands = COMMANDS }, atLineStart = false) {
+  if (!word) return [];
+  const lower = word.toLowerCase();
+  const qualified = word.startsWith("@");
+  const matches = new Map();
+
+  const consider = (name, kind, text) => {
+    if (matches.has(name) || INTERNAL_NAME.test(name)) return;
+    // Module-qualified names only when the user starts typing one
+    if (name.startsWith("@") !== qualified) return;
+    if (name.toLowerCase().startsWith(lower) && name !== word) {
+      matches.set(name, { name, kind, text });
+    }
+  };
+
+  if (atLineStart) {
+    for (const name of commands) consider(name, "command", name);
+  }
+  for (const name of functions) consider(name, "function", `${name}(`);
+  for (const name of variables) consider(name, "variable", name);
+
+  return [...matches.values()].sort((a, b) => {
+    const aCase = a.name.startsWith(word) ? 0 : 1;
+    const bCase = b.name.startsWith(word) ? 0 : 1;
+    return aCase - bCase || a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Name of the function whose argument list contains the cursor, if any
+ * @returns {string|null}
+ */
+function findCallAt(text, cursor) {
+  let depth = 0;
+  for (let i = cursor - 1; i >= 0; i--) {
+    const char = text[i];
+    if (char === ")") {
+      depth++;
+    } else if (char === "(") {
+      if (depth === 0) {
+        const name = text.slice(0, i).match(/[@\w]*$/)[0];
+        if (/^[@A-Za-z_]/.test(name)) return name;
+      } else {
+        depth--;
+      }
+    }
+  }
+  return null;
+}
+
+export { COMMANDS, findWordAt, getCompletions, findCallAt };
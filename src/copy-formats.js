@@ -0,0 +1,91 @@
+/**
+ * Copy formats for calculator results
+ *
+ * Writes a Rational, Integer or RationalInterval as LaTeX (a \frac, or a decimal
+ * with an overlined repetend), as JSON in the session serialization format, or
+ * as a JavaScript expression that rebuilds the exact value with @ratmath/core.
+ */
+
+import { Rational, RationalInterval, Integer } from "@ratmath/core";
+import { serializeValue } from "./serialization.js";
+import { fractionDigits, expansionStructure } from "./digit-expansion.js";
+
+function latexFraction(rational) {
+  if (rational.denominator === 1n) return rational.numerator.toString();
+  const sign = rational.numerator < 0n ? "-" : "";
+  const numerator = rational.numerator < 0n ? -rational.numerator : rational.numerator;
+  return `${sign}\\frac{${numerator}}{${rational.denominator}}`;
+}
+
+function latexDecimal(rational, limit, effort) {
+  const negative = rational.numerator < 0n;
+  const whole = (negative ? -rational.numerator : rational.numerator) / rational.denominator;
+  const sign = negative ? "-" : "";
+  const { preperiod, period } = expansionStructure(rational, 10, effort);
+
+  if (period === 0n && preperiod <= limit) {
+    return preperiod === 0 ? `${sign}${whole}` : `${sign}${whole}.${fractionDigits(rational, 1, preperiod)}`;
+  }
+  if (period !== null && period !== 0n && BigInt(preperiod) + period <= BigInt(limit)) {
+    const head = fractionDigits(rational, 1, preperiod);
+    const repetend = fractionDigits(rational, preperiod + 1, Number(period));
+    return `${sign}${whole}.${head}\\overline{${repetend}}`;
+  }
+  // Too long to write out: the first limit digits, then an ellipsis
+  return `${sign}${whole}.${fractionDigits(rational, 1, limit)}\\ldots`;
+}
+
+/**
+ * LaTeX for a result
+ * @param {Rational|Integer|RationalInterval} value
+ * @param {Object} options
+ * @param {boolean} options.decimal - Write decimals with overlined repetends instead of fractions
+ * @param {number} options.limit - Digits after the point before a decimal is cut off with \ldots
+ * @param {number} options.effort - Factorization effort for finding the period
+ * @returns {string}
+ */
+function toLatex(value, { decimal = false, limit = 20, effort } = {}) {
+  if (value instanceof RationalInterval) {
+    const low = toLatex(value.low, { decimal, limit, effort });
+    const high = toLatex(value.high, { decimal, limit, effort });
+    return `\\left[${low}, ${high}\\right]`;
+  }
+  if (value instanceof Integer) return value.value.toString();
+  if (value instanceof Rational) {
+    return decimal ? latexDecimal(value, limit, effort) : latexFraction(value);
+  }
+  throw new Error("Only numbers and intervals can be written as LaTeX");
+}
+
+/**
+ * JSON for a result, with BigInt parts as strings
+ * @returns {string} e.g. {"type":"rational","numerator":"22","denominator":"7"}
+ */
+function toJSONText(value) {
+  const data = serializeValue(value);
+  if (!data) throw new Error("This result has no JSON form");
+  return JSON.stringify(data);
+}
+
+function javaScriptExpression(value) {
+  if (value instanceof RationalInterval) {
+    return `new RationalInterval(${javaScriptExpression(value.low)}, ${javaScriptExpression(value.high)})`;
+  }
+  if (value instanceof Integer) return `new Integer(${value.value}n)`;
+  if (value instanceof Rational) return `new Rational(${value.numerator}n, ${value.denominator}n)`;
+  throw new Error("Only numbers and intervals can be written as JavaScript");
+}
+
+/**
+ * JavaScript that rebuilds the exact value, with the import it needs
+ * @returns {string} e.g. import { Rational } from "@ratmath/core";\nnew Rational(22n, 7n)
+ */
+function toJavaScript(value) {
+  const expression = javaScriptExpression(value);
+  const classes = ["Rational", "RationalInterval", "Integer"].filter((name) =>
+    new RegExp(`\\bnew ${name}\\(`).test(expression),
+  );
+  return `import { ${classes.join(", ")} } from "@ratmath/core";\n${expression}`;
+}
+
+export { toLatex, toJSONText, toJavaScript };
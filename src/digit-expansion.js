@@ -0,0 +1,85 @@
+/**
+ * Digits of long expansions, on demand
+ *
+ * Finds the digits of a rational's expansion at any position without writing
+ * out the ones before it: the remainder after n digits is numerator * base^n
+ * mod denominator, computed by modular exponentiation. The preperiod and
+ * period depend on the denominator alone (the period is the multiplicative
+ * order of the base modulo the denominator stripped of the base's prime
+ * factors), so they are known even for repetends far too long to display.
+ */
+
+import { BaseSystem } from "@ratmath/core";
+import { DEFAULT_EFFORT, gcd, modPow, factorize } from "./factorization.js";
+
+/**
+ * Digits after the point, from position start (the first digit is position 1)
+ * @param {Rational} rational - Its sign and whole part are ignored
+ * @param {number|bigint} start
+ * @param {number} count
+ * @param {number|BaseSystem} base - 2 to 62, or a base whose digit characters are used
+ * @returns {string}
+ */
+function fractionDigits(rational, start, count, base = 10) {
+  const system = base instanceof BaseSystem ? base : BaseSystem.fromBase(base);
+  const b = BigInt(system.base);
+  const denominator = rational.denominator;
+  const numerator = rational.numerator < 0n ? -rational.numerator : rational.numerator;
+  let remainder = ((numerator % denominator) * modPow(b, BigInt(start) - 1n, denominator)) % denominator;
+
+  let digits = "";
+  for (let i = 0; i < count; i++) {
+    remainder *= b;
+    digits += system.getChar(remainder / denominator);
+    remainder %= denominator;
+  }
+  return digits;
+}
+
+/**
+ * Multiplicative order of base modulo modulus (coprime to each other)
+ * @returns {bigint|null} null when a factorization it needs is not completed within effort
+ */
+function multiplicativeOrder(base, modulus, effort = DEFAULT_EFFORT) {
+  if (modulus === 1n) return 1n;
+
+  // The order divides the lcm of p^(e-1) (p - 1) over the prime powers of the modulus
+  const { primes, cofactors } = factorize(modulus, effort);
+  if (cofactors.size > 0) return null;
+  let order = 1n;
+  for (const [p, e] of primes) {
+    const part = p ** BigInt(e - 1) * (p - 1n);
+    order = (order / gcd(order, part)) * part;
+  }
+
+  const multiple = factorize(order, effort);
+  if (multiple.cofactors.size > 0) return null;
+  for (const q of multiple.primes.keys()) {
+    while (order % q === 0n && modPow(base, order / q, modulus) === 1n) order /= q;
+  }
+  return order;
+}
+
+/**
+ * Preperiod and period of a rational's expansion
+ * @param {Rational} rational
+ * @param {number} base
+ * @param {number} effort - Pollard rho iterations allowed per factorization
+ * @returns {{preperiod: number, period: bigint|null, modulus: bigint}} period is
+ *   0n for terminating expansions and null when it could not be found within
+ *   effort; modulus is the denominator stripped of the base's prime factors
+ */
+function expansionStructure(rational, base = 10, effort = DEFAULT_EFFORT) {
+  const b = BigInt(base);
+  let modulus = rational.denominator;
+  let preperiod = 0;
+  // Each digit of the preperiod removes one factor of the common part
+  for (let common = gcd(modulus, b); common > 1n; common = gcd(modulus, b)) {
+    modulus /= common;
+    preperiod++;
+  }
+  const period = modulus === 1n ? 0n : multiplicativeOrder(b % modulus, modulus, effort);
+  return { preperiod, period, modulus };
+}
+
+export { fractionDigits, multiplicativeOrder, expansionStructure };
@@ -0,0 +1,112 @@
+/**
+ * Digit grouping for calculator output
+ *
+ * Splits long digit runs into groups (1 234 567.891 2, 0xDEAD BEEF) and can
+ * write a locale decimal separator. The whole part is grouped from the point
+ * leftwards, the fraction from the point rightwards, counting through the
+ * repeat marker and {d~n} runs so groups stay aligned with digit positions.
+ * ungroupDigits undoes both, so grouped output can be injected as input.
+ */
+
+// Separators that are awkward to type in a command
+const NAMED_SEPARATORS = {
+  SPACE: " ",
+  THIN: "\u2009",
+  NBSP: "\u00A0",
+  NNBSP: "\u202F",
+};
+
+// Binary and hexadecimal read best in fours (nibbles), everything else in threes
+function defaultGroupSize(base) {
+  return base === 2 || base === 16 ? 4 : 3;
+}
+
+function groupWhole(whole, separator, size) {
+  if (/[{}#]/.test(whole)) return whole;
+  const digits = Array.from(whole);
+  const groups = [];
+  for (let end = digits.length; end > 0; end -= size) {
+    groups.unshift(digits.slice(Math.max(0, end - size), end).join(""));
+  }
+  return groups.join(separator);
+}
+
+function groupFraction(fraction, separator, size) {
+  const output = [];
+  let count = 0;
+  for (const token of fraction.match(/\{[^}]*\}|./gu) || []) {
+    if (token === "#") {
+      output.push(token);
+      continue;
+    }
+    const run = token.match(/^\{.~(\d+)\}$/u);
+    if (!run && count > 0 && count % size === 0) {
+      // A group boundary right after the repeat marker goes in front of it
+      if (output[output.length - 1] === "#") {
+        output.splice(output.length - 1, 0, separator);
+      } else {
+        output.push(separator);
+      }
+    }
+    output.push(token);
+    count += run ? Number(run[1]) : 1;
+  }
+  return output.join("");
+}
+
+/**
+ * Group the digits of a plain or repeating expansion such as -1234.5#67...
+ * @param {string} text - Expansion without a base prefix
+ * @param {Object} options
+ * @param {string} options.separator - Inserted between groups; "" leaves digits ungrouped
+ * @param {number} options.size - Digits per group
+ * @param {string} options.decimalSeparator - Written in place of "."
+ * @returns {string}
+ */
+function groupDigits(text, { separator = " ", size = 3, decimalSeparator = "." } = {}) {
+  const sign = text.startsWith("-") ? "-" : "";
+  let body = sign ? text.slice(1) : text;
+  const ellipsis = body.endsWith("...") ? "..." : "";
+  if (ellipsis) body = body.slice(0, -3);
+
+  const point = body.indexOf(".");
+  const whole = point === -1 ? body : body.slice(0, point);
+  const fraction = point === -1 ? null : body.slice(point + 1);
+  if (!separator) {
+    return `${sign}${whole}${fraction === null ? "" : decimalSeparator + fraction}${ellipsis}`;
+  }
+
+  const groupedFraction = fraction === null ? "" : decimalSeparator + groupFraction(fraction, separator, size);
+  return `${sign}${groupWhole(whole, separator, size)}${groupedFraction}${ellipsis}`;
+}
+
+/**
+ * Remove group separators between digits and restore "." as the decimal point
+ * @param {string} text - Output written with groupDigits
+ * @param {Object} options - The separator and decimalSeparator it was written with
+ * @returns {string}
+ */
+function ungroupDigits(text, { separator = " ", decimalSeparator = "." } = {}) {
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let plain = text;
+  if (separator) {
+    plain = plain.replace(new RegExp(`(?<=[0-9A-Za-z#])${escape(separator)}(?=[0-9A-Za-z#])`, "g"), "");
+  }
+  if (decimalSeparator !== ".") {
+    plain = plain.replace(new RegExp(`(?<=\\d)${escape(decimalSeparator)}(?=[\\d#])`, "g"), ".");
+  }
+  return plain;
+}
+
+/**
+ * Group and decimal separators used by a locale
+ * @param {string} [locale] - BCP 47 tag; the browser's language when omitted
+ * @returns {{separator: string, decimalSeparator: string}}
+ */
+function localeSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  const find = (type, fallback) => (parts.find((part) => part.type === type) || { value: fallback }).value;
+  return { separator: find("group", ""), decimalSeparator: find("decimal", ".") };
+}
+
+export { NAMED_SEPARATORS, defaultGroupSize, groupDigits, ungroupDigits, localeSeparators };
@@ -0,0 +1,138 @@
+/**
+ * Egyptian fractions
+ *
+ * Writes a positive rational as a whole number plus a sum of distinct unit
+ * fractions, 6/7 = 1/2 + 1/3 + 1/42, using one of three methods:
+ *
+ * - greedy: repeatedly take the largest unit fraction that fits (Fibonacci-Sylvester)
+ * - binary: the binary remainder method, whose denominators are powers of two
+ *   and the original denominator times powers of two, so they never grow
+ *   beyond 2q^2 and the term count stays logarithmic
+ * - shortest: fewest terms, and among those the smallest largest denominator,
+ *   found by a bounded search over denominators up to a size limit
+ */
+
+import { gcd } from "./factorization.js";
+
+const EGYPT_METHODS = ["greedy", "binary", "shortest"];
+
+// Defaults for the shortest search
+const DEFAULT_MAX_DENOMINATOR = 10n ** 6n;
+const MAX_TERMS = 8;
+const SEARCH_EFFORT = 200000;
+
+// a/b - 1/d, reduced
+function subtractUnit(a, b, d) {
+  const numerator = a * d - b;
+  const denominator = b * d;
+  const divisor = gcd(numerator, denominator);
+  return [numerator / divisor, denominator / divisor];
+}
+
+function greedy(a, b) {
+  const denominators = [];
+  while (a > 0n) {
+    const d = (b + a - 1n) / a;
+    denominators.push(d);
+    [a, b] = subtractUnit(a, b, d);
+  }
+  return denominators;
+}
+
+function binaryRemainder(a, b) {
+  if (a === 0n) return [];
+  // 2^(k-1) < b <= 2^k, then a/b = quotient/2^k + remainder/(b 2^k)
+  const k = BigInt((b - 1n).toString(2).length);
+  const scaled = a << k;
+  const quotient = scaled / b;
+  const remainder = scaled % b;
+
+  const denominators = [];
+  for (let bit = k - 1n; bit >= 0n; bit--) {
+    if ((quotient >> bit) & 1n) denominators.push(1n << (k - bit));
+  }
+  for (let bit = k - 1n; bit >= 0n; bit--) {
+    if ((remainder >> bit) & 1n) denominators.push(b << (k - bit));
+  }
+  return denominators;
+}
+
+function shortest(a, b, maxDenominator) {
+  if (a === 0n) return [];
+  let nodes = 0;
+
+  for (let terms = 1; terms <= MAX_TERMS; terms++) {
+    let best = null;
+    let bound = maxDenominator;
+
+    // Denominators are chosen in increasing order, so the last one is the largest
+    const search = (a, b, min, left, chosen) => {
+      if (++nodes > SEARCH_EFFORT) return false;
+      if (left === 1) {
+        if (b % a === 0n && b / a >= min && b / a <= bound) {
+          best = [...chosen, b / a];
+          bound = b / a - 1n;
+        }
+        return true;
+      }
+      // The next unit fraction must leave something for the remaining terms,
+      // and the remaining terms are all smaller than it
+      let d = b / a + 1n;
+      if (d < min) d = min;
+      const end = (BigInt(left) * b) / a;
+      // bound shrinks as better decompositions are found
+      for (; d <= end && d <= bound; d++) {
+        const [na, nb] = subtractUnit(a, b, d);
+        if (!search(na, nb, d + 1n, left - 1, [...chosen, d])) return false;
+      }
+      return true;
+    };
+
+    const finished = search(a, b, 2n, terms, []);
+    if (best) return best;
+    if (!finished) break;
+  }
+  throw new Error(`no decomposition into at most ${MAX_TERMS} terms with denominators up to ${maxDenominator} found within the search limit`);
+}
+
+/**
+ * Decompose a positive rational into a whole part and distinct unit fractions
+ * @param {Rational} rational - Value to decompose (must be positive)
+ * @param {string} method - One of EGYPT_METHODS
+ * @param {Object} options
+ * @param {bigint} options.maxDenominator - Size limit for the shortest search
+ * @returns {{whole: bigint, denominators: bigint[]}} Denominators in increasing order
+ */
+function egyptianFractions(rational, method = "greedy", { maxDenominator = DEFAULT_MAX_DENOMINATOR } = {}) {
+  const { numerator, denominator } = rational;
+  if (numerator <= 0n) {
+    throw new Error("Egyptian fractions need a positive rational");
+  }
+  if (!EGYPT_METHODS.includes(method)) {
+    throw new Error(`Unknown Egyptian fraction method '${method}' (use ${EGYPT_METHODS.join(", ")})`);
+  }
+
+  const whole = numerator / denominator;
+  const a = numerator % denominator;
+  let denominators;
+  if (method === "greedy") {
+    denominators = greedy(a, denominator);
+  } else if (method === "binary") {
+    denominators = binaryRemainder(a, denominator);
+  } else {
+    denominators = shortest(a, denominator, maxDenominator);
+  }
+  return { whole, denominators: denominators.sort((x, y) => (x < y ? -1 : x > y ? 1 : 0)) };
+}
+
+/**
+ * Write a decomposition as an expression that evaluates back to the value
+ * @returns {string} e.g. "2 + 1/3 + 1/15"
+ */
+function formatEgyptianSum({ whole, denominators }) {
+  const terms = denominators.map((d) => `1/${d}`);
+  if (whole > 0n || terms.length === 0) terms.unshift(whole.toString());
+  return terms.join(" + ");
+}
+
+export { EGYPT_METHODS, egyptianFractions, formatEgyptianSum };
@@ -0,0 +1,86 @@
+/**
+ * Engineering notation for the web calculator
+ *
+ * Like scientific notation, but the exponent is always a multiple of three so
+ * the mantissa lies in [1, 1000), optionally replaced by an SI prefix
+ * (4.7E3 or 4.7 k, 416.#6E-3 or 416.#6 m). The mantissa keeps at most
+ * `precision` significant digits: a repeating block that fits is written with
+ * the # marker, anything longer is cut off with "...".
+ */
+
+const SI_PREFIXES = new Map([
+  [30, "Q"], [27, "R"], [24, "Y"], [21, "Z"], [18, "E"], [15, "P"], [12, "T"], [9, "G"], [6, "M"], [3, "k"],
+  [0, ""],
+  [-3, "m"], [-6, "µ"], [-9, "n"], [-12, "p"], [-15, "f"], [-18, "a"], [-21, "z"], [-24, "y"], [-27, "r"], [-30, "q"],
+]);
+
+// floor(log10(numerator / denominator)) for positive BigInts
+function decimalExponent(numerator, denominator) {
+  const exponent = numerator.toString().length - denominator.toString().length;
+  const reaches =
+    exponent >= 0
+      ? numerator >= denominator * 10n ** BigInt(exponent)
+      : numerator * 10n ** BigInt(-exponent) >= denominator;
+  return reaches ? exponent : exponent - 1;
+}
+
+// Decimal digits of numerator / denominator, marking the repetend when it fits in precision
+function expandMantissa(numerator, denominator, precision) {
+  const whole = (numerator / denominator).toString();
+  let remainder = numerator % denominator;
+  const digits = [];
+  const seen = new Map();
+
+  while (remainder !== 0n && !seen.has(remainder)) {
+    if (whole.length + digits.length >= precision) {
+      return { mantissa: `${whole}${digits.length > 0 ? "." : ""}${digits.join("")}...`, period: 0 };
+    }
+    seen.set(remainder, digits.length);
+    remainder *= 10n;
+    digits.push((remainder / denominator).toString());
+    remainder %= denominator;
+  }
+
+  if (remainder === 0n) {
+    return { mantissa: digits.length > 0 ? `${whole}.${digits.join("")}` : whole, period: 0 };
+  }
+  const start = seen.get(remainder);
+  return {
+    mantissa: `${whole}.${digits.slice(0, start).join("")}#${digits.slice(start).join("")}`,
+    period: digits.length - start,
+  };
+}
+
+/**
+ * Format a rational in engineering notation
+ * @param {Rational} rational
+ * @param {Object} options
+ * @param {number} options.precision - Significant digits in the mantissa
+ * @param {boolean} options.prefixes - Write SI prefixes instead of exponents where one exists
+ * @param {boolean} options.showPeriodInfo - Append {period: n} for repeating mantissas
+ * @returns {string}
+ */
+function formatEngineering(rational, { precision = 10, prefixes = false, showPeriodInfo = false } = {}) {
+  if (rational.numerator === 0n) return "0";
+
+  const negative = rational.numerator < 0n;
+  let numerator = negative ? -rational.numerator : rational.numerator;
+  let denominator = rational.denominator;
+
+  const exponent = 3 * Math.floor(decimalExponent(numerator, denominator) / 3);
+  if (exponent > 0) {
+    denominator *= 10n ** BigInt(exponent);
+  } else if (exponent < 0) {
+    numerator *= 10n ** BigInt(-exponent);
+  }
+
+  const { mantissa, period } = expandMantissa(numerator, denominator, Math.max(1, precision));
+  const suffix =
+    prefixes && SI_PREFIXES.has(exponent)
+      ? (exponent === 0 ? "" : ` ${SI_PREFIXES.get(exponent)}`)
+      : `E${exponent}`;
+  const periodInfo = showPeriodInfo && period > 0 ? ` {period: ${period}}` : "";
+  return `${negative ? "-" : ""}${mantissa}${suffix}${periodInfo}`;
+}
+
+export { SI_PREFIXES, formatEngineering };
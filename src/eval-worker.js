@@ -0,0 +1,190 @@
+/**
+ * Evaluation Worker for the web calculator
+ *
+ * Runs expression evaluation and result formatting off the main thread so that long
+ * SUM/PROD/SEQ loops or values with huge decimal periods cannot freeze the page.
+ * The page sends its session state with each input; the worker replies with the
+ * formatted output, the serialized result and, for definitions, the updated state.
+ * Most inputs only change variables, so the calculator is only rebuilt when the
+ * settings, bases, functions or modules in the state differ from the last ones.
+ * CONVERT and PERIOD come as a command instead of an input and reply with their
+ * output, or with an error varResult; so do the live previews and the periods for
+ * the digits panel that the page's second (side) worker computes, whose outputs
+ * are objects. Sandboxed JS modules stay on the page: the worker gets their
+ * manifests, posts each call to one of their functions as a moduleCall message and
+ * waits for the page to answer it through a ModuleBridge.
+ *
+ * Messages in:  { id, input, command: { name, args } | null, state, modules, timeLimit }
+ * Messages out: { type: "progress", id, progress }
+ *               { type: "moduleCall", id, call: { url, name, args, signal, reply } }
+ *               { type: "result", id, varResult, output, formatError, timedOut, state }
+ */
+
+import { WebCalculator } from "./web-calc.js";
+import { serializeValue } from "./serialization.js";
+import { ModuleBridge, moduleScope } from "./module-sandbox.js";
+
+// Minimum time between progress reports, in milliseconds
+const PROGRESS_INTERVAL = 200;
+
+// Modules loaded by LOAD, keyed by the LOAD argument, so later evaluations skip the fetch
+const moduleCache = new Map();
+
+// Exports of the JS modules sandboxed on the page, keyed by the LOAD argument
+const moduleManifests = new Map();
+
+// Id of the evaluation running, for the calls it makes to sandboxed modules
+let currentId = null;
+
+// Made on the first JS module, as only cross-origin isolated pages can share memory
+let moduleBridge = null;
+
+class WorkerCalculator extends WebCalculator {
+  initializeElements() {
+    this.inputElement = { value: "", focus: () => { } };
+  }
+
+  setupEventListeners() { }
+
+  displayWelcome() { }
+
+  addToOutput() { }
+
+  isMobile() {
+    return false;
+  }
+
+  async importJSModule(url) {
+    // The page runs the module; each call waits for the page to answer it
+    const manifest = moduleManifests.get(url);
+    if (!manifest) throw new Error(`JS module ${url} is not sandboxed on the page`);
+    if (!moduleBridge) {
+      moduleBridge = new ModuleBridge((call) => self.postMessage({ type: "moduleCall", id: currentId, call }));
+    }
+    return moduleScope(url, manifest, moduleBridge);
+  }
+
+  async handleLoadCommand(moduleSpec) {
+    if (!moduleCache.has(moduleSpec)) {
+      const before = new Set(this.variableManager.modules.keys());
+      await super.handleLoadCommand(moduleSpec);
+      moduleCache.set(
+        moduleSpec,
+        [...this.variableManager.modules].filter(([name]) => !before.has(name)),
+      );
+    }
+    for (const [name, scope] of moduleCache.get(moduleSpec)) {
+      this.variableManager.loadModule(name, scope);
+    }
+  }
+}
+
+const calculator = new WorkerCalculator();
+
+// The state the calculator was last rebuilt from, without its variables, as JSON
+let syncedState = null;
+
+async function syncState(state) {
+  const { variables = [], resultCount, ...rest } = state;
+  const key = JSON.stringify(rest);
+  if (key === syncedState) {
+    // Only variables differ; drop those the page no longer has (or never accepted) and set the rest
+    const names = new Set(variables.map(([name]) => name));
+    for (const [name] of calculator.getUserVariables()) {
+      if (!names.has(name)) calculator.variableManager.variables.delete(name);
+    }
+    calculator.applyDefinitions({ variables });
+    calculator.resultCount = resultCount;
+    return;
+  }
+
+  syncedState = null;
+  calculator.resetSessionState();
+  for (const moduleSpec of state.loadedModules || []) {
+    await calculator.handleLoadCommand(moduleSpec);
+  }
+  // Modules are already in place; apply definitions and settings on top of them
+  calculator.applySessionState({ ...state, loadedModules: [], history: [], outputHistory: [] });
+  calculator.loadedModules = [...(state.loadedModules || [])];
+  syncedState = key;
+}
+
+function evaluate({ id, input, command, timeLimit }) {
+  const manager = calculator.variableManager;
+  const started = Date.now();
+  let lastReport = 0;
+  let timedOut = false;
+
+  manager.setProgressCallback((keyword, variable, i, end, accumulator, iterationCount) => {
+    const now = Date.now();
+    if (now - lastReport >= PROGRESS_INTERVAL) {
+      lastReport = now;
+      self.postMessage({
+        type: "progress",
+        id,
+        progress: {
+          keyword,
+          variable,
+          i: i.toString(),
+          end: end.toString(),
+          iterationCount,
+          value: accumulator ? manager.formatValue(accumulator) : null,
+        },
+      });
+    }
+    if (timeLimit > 0 && now - started > timeLimit) {
+      timedOut = true;
+      return false;
+    }
+    return true;
+  });
+
+  if (command) {
+    try {
+      return { type: "result", id, output: calculator.commandOutput(command) };
+    } catch (error) {
+      return { type: "result", id, varResult: { type: "error", message: `Error: ${error.message}` }, timedOut };
+    }
+  }
+
+  const varResult = calculator.variableManager.processInput(input);
+  const reply = {
+    type: "result",
+    id,
+    varResult: {
+      type: varResult.type,
+      message: varResult.message,
+      result: serializeValue(varResult.result),
+    },
+    timedOut,
+  };
+
+  if (varResult.type === "assignment" || varResult.type === "function") {
+    const { variables, functions } = calculator.getSessionState();
+    reply.state = { variables, functions };
+  } else if (varResult.type !== "error") {
+    try {
+      reply.output = calculator.formatResult(varResult.result);
+    } catch (error) {
+      reply.formatError = error.message;
+    }
+  }
+
+  return reply;
+}
+
+self.onmessage = async (event) => {
+  const { id, state, modules = [] } = event.data;
+  for (const [url, manifest] of modules) moduleManifests.set(url, manifest);
+  currentId = id;
+  try {
+    await syncState(state);
+    self.postMessage(evaluate(event.data));
+  } catch (error) {
+    self.postMessage({
+      type: "result",
+      id,
+      varResult: { type: "error", message: `Error: ${error.message}` },
+    });
+  }
+};
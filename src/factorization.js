@@ -0,0 +1,179 @@
+/**
+ * Prime factorization for the web calculator
+ *
+ * Factors BigInts by trial division by small numbers, then Pollard's rho on
+ * what is left. Rho runs under an effort cap (the number of iterations spent
+ * on one value); a composite it cannot split within the cap is reported as an
+ * unfactored cofactor instead of holding up the display. Primality is checked
+ * with Miller-Rabin on the first twelve prime bases, which is exact below
+ * 3.3 * 10^24 and a probable-prime test above.
+ */
+
+const DEFAULT_EFFORT = 100000;
+const TRIAL_LIMIT = 10000n;
+const WITNESSES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+// Iterations between gcd checks in Pollard's rho
+const GCD_BATCH = 64;
+
+function gcd(a, b) {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result % modulus;
+}
+
+function isPrime(n) {
+  if (n < 2n) return false;
+  for (const p of WITNESSES) {
+    if (n % p === 0n) return n === p;
+  }
+  let d = n - 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    s++;
+  }
+  witness: for (const a of WITNESSES) {
+    let x = modPow(a, d, n);
+    if (x === 1n || x === n - 1n) continue;
+    for (let i = 1; i < s; i++) {
+      x = (x * x) % n;
+      if (x === n - 1n) continue witness;
+    }
+    return false;
+  }
+  return true;
+}
+
+function integerSqrt(n) {
+  if (n < 2n) return n;
+  // Newton's method, starting above the root
+  let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+  for (;;) {
+    const next = (x + n / x) >> 1n;
+    if (next >= x) return x;
+    x = next;
+  }
+}
+
+// A nontrivial divisor of the composite n, or null when the budget runs out
+function pollardRho(n, budget) {
+  for (let c = 1n; budget.remaining > 0; c++) {
+    const step = (v) => (v * v + c) % n;
+    let x = 2n;
+    let y = 2n;
+    let product = 1n;
+    let divisor = 1n;
+    for (let count = 1; budget.remaining > 0; count++) {
+      budget.remaining--;
+      x = step(x);
+      y = step(step(y));
+      product = (product * (x > y ? x - y : y - x)) % n;
+      if (count % GCD_BATCH === 0 || budget.remaining === 0) {
+        divisor = gcd(product, n);
+        if (divisor !== 1n) break;
+      }
+    }
+    // divisor === n means the cycle closed within a batch; try another polynomial
+    if (divisor !== 1n && divisor !== n) return divisor;
+  }
+  return null;
+}
+
+function addFactor(map, factor, exponent) {
+  map.set(factor, (map.get(factor) || 0) + exponent);
+}
+
+/**
+ * Factor a positive BigInt
+ * @param {bigint} n
+ * @param {number} effort - Pollard rho iterations allowed for n
+ * @returns {{primes: Map<bigint, number>, cofactors: Map<bigint, number>}}
+ *   cofactors holds composites that could not be split within the effort cap
+ */
+function factorize(n, effort = DEFAULT_EFFORT) {
+  const primes = new Map();
+  const cofactors = new Map();
+
+  for (const p of [2n, 3n]) {
+    while (n % p === 0n) {
+      addFactor(primes, p, 1);
+      n /= p;
+    }
+  }
+  for (let p = 5n; p < TRIAL_LIMIT && p * p <= n; p += 6n) {
+    for (const q of [p, p + 2n]) {
+      while (n % q === 0n) {
+        addFactor(primes, q, 1);
+        n /= q;
+      }
+    }
+  }
+
+  const budget = { remaining: effort };
+  const pending = n > 1n ? [n] : [];
+  while (pending.length > 0) {
+    const m = pending.pop();
+    if (m < TRIAL_LIMIT * TRIAL_LIMIT || isPrime(m)) {
+      addFactor(primes, m, 1);
+      continue;
+    }
+    // Rho is slow on squares of large primes, so they are split directly
+    const root = integerSqrt(m);
+    if (root * root === m) {
+      pending.push(root, root);
+      continue;
+    }
+    const divisor = pollardRho(m, budget);
+    if (divisor === null) {
+      addFactor(cofactors, m, 1);
+    } else {
+      pending.push(divisor, m / divisor);
+    }
+  }
+  return { primes, cofactors };
+}
+
+/**
+ * Write numerator / denominator as a product of prime powers with signed
+ * exponents, e.g. 72/49 as 2^3 · 3^2 · 7^-2. Unfactored cofactors are
+ * written in brackets after the primes.
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Positive, coprime to the numerator
+ * @param {number} effort - Pollard rho iterations allowed for each of them
+ * @returns {{text: string, complete: boolean}}
+ */
+function formatFactorization(numerator, denominator = 1n, effort = DEFAULT_EFFORT) {
+  if (numerator === 0n) return { text: "0", complete: true };
+
+  const top = factorize(numerator < 0n ? -numerator : numerator, effort);
+  const bottom = factorize(denominator, effort);
+  const order = (a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+  const signed = (map, sign) => [...map].map(([factor, exponent]) => [factor, sign * exponent]);
+  const power = (base, exponent) => (exponent === 1 ? base : `${base}^${exponent}`);
+
+  const terms = [
+    ...[...signed(top.primes, 1), ...signed(bottom.primes, -1)].sort(order)
+      .map(([p, e]) => power(p.toString(), e)),
+    ...[...signed(top.cofactors, 1), ...signed(bottom.cofactors, -1)].sort(order)
+      .map(([c, e]) => power(`[${c}]`, e)),
+  ];
+  if (numerator < 0n) terms.unshift("-1");
+  if (terms.length === 0) terms.push("1");
+
+  return {
+    text: terms.join(" · "),
+    complete: top.cofactors.size === 0 && bottom.cofactors.size === 0,
+  };
+}
+
+export { DEFAULT_EFFORT, gcd, modPow, isPrime, factorize, formatFactorization };
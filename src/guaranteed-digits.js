@@ -0,0 +1,119 @@
+/**
+ * Guaranteed-digits notation for narrow intervals
+ *
+ * Writes an interval as the decimal digits both endpoints share followed by the
+ * differing tail, 3.14159265[35:36], or as a midpoint with an uncertainty in its
+ * last digits, 1.2345(6). Endpoints are rounded outward, so the written interval
+ * always contains the exact one. The bracket form is already understood by the
+ * parser; expandConciseUncertainty rewrites the parenthesised form into a plain
+ * interval before evaluation.
+ */
+
+import { Rational } from "@ratmath/core";
+
+// Endpoints that agree on more digits than this are not worth abbreviating
+const MAX_COMMON_DIGITS = 1000;
+
+// 1.2345(6): a decimal immediately followed by a parenthesised digit count. The
+// decimal point is required, as 2(3) and x*4(5) are products. A unary minus is
+// taken along, since the parser cannot negate a bracketed interval.
+const CONCISE_UNCERTAINTY = /(?<![\w.#@)\]]\s*)(-?)(?<![\w.#@])(\d+)\.(\d+)\((\d+)\)/g;
+
+// floor(value * 10^digits) for a non-negative rational
+function scaledFloor(value, digits) {
+  return (value.numerator * 10n ** BigInt(digits)) / value.denominator;
+}
+
+// ceil(value * 10^digits) for a non-negative rational
+function scaledCeil(value, digits) {
+  const scaled = value.numerator * 10n ** BigInt(digits);
+  return (scaled + value.denominator - 1n) / value.denominator;
+}
+
+// A scaled integer written with the given number of fractional digits
+function fixedPoint(scaled, digits) {
+  if (digits === 0) return scaled.toString();
+  const text = scaled.toString().padStart(digits + 1, "0");
+  return `${text.slice(0, -digits)}.${text.slice(-digits)}`;
+}
+
+/**
+ * Shared digits and differing tail, e.g. 3.14159265[35:36]
+ * @param {RationalInterval} interval
+ * @param {number} tailDigits - Digits shown after the last shared one
+ * @returns {string|null} null for point intervals, intervals around zero, or
+ *   endpoints that do not share their integer part
+ */
+function formatGuaranteedDigits(interval, tailDigits = 2) {
+  if (interval.low.equals(interval.high)) return null;
+
+  let sign = "";
+  let { low, high } = interval;
+  if (high.numerator <= 0n) {
+    sign = "-";
+    [low, high] = [high.negate(), low.negate()];
+  } else if (low.numerator < 0n) {
+    return null;
+  }
+
+  if (scaledFloor(low, 0) !== scaledFloor(high, 0)) return null;
+  let common = 0;
+  while (scaledFloor(low, common + 1) === scaledFloor(high, common + 1)) {
+    if (++common > MAX_COMMON_DIGITS) return null;
+  }
+
+  const digits = common + tailDigits;
+  const lowText = fixedPoint(scaledFloor(low, digits), digits);
+  const highText = fixedPoint(scaledCeil(high, digits), digits);
+  let shared = 0;
+  while (lowText[shared] === highText[shared]) shared++;
+  // Rounding the upper endpoint up can carry into the integer part
+  if (shared <= lowText.indexOf(".")) return null;
+
+  return `${sign}${lowText.slice(0, shared)}[${lowText.slice(shared)}:${highText.slice(shared)}]`;
+}
+
+/**
+ * Midpoint with an uncertainty in its last digits, e.g. 1.2345(6)
+ * @param {RationalInterval} interval
+ * @returns {string|null} null for point intervals
+ */
+function formatConciseUncertainty(interval) {
+  const { low, high } = interval;
+  if (low.equals(high)) return null;
+
+  const two = new Rational(2);
+  const midpoint = low.add(high).divide(two);
+  const radius = high.subtract(low).divide(two);
+
+  // The last digit shown is the first significant digit of the radius
+  let digits = 0;
+  while (scaledFloor(radius, digits) === 0n) digits++;
+
+  const magnitude = midpoint.abs();
+  const scale = 10n ** BigInt(digits);
+  const rounded = (2n * magnitude.numerator * scale + magnitude.denominator) / (2n * magnitude.denominator);
+  const centre = new Rational(rounded, scale);
+  // Widen the uncertainty by what rounding the midpoint moved it
+  const uncertainty = scaledCeil(radius.add(magnitude.subtract(centre).abs()), digits);
+
+  const sign = midpoint.numerator < 0n && rounded !== 0n ? "-" : "";
+  return `${sign}${fixedPoint(rounded, digits)}(${uncertainty})`;
+}
+
+/**
+ * Rewrite 1.2345(6) as the interval it denotes, (1.2339:1.2351) in exact form.
+ * The digits are read as decimal, so callers only expand base-10 input.
+ * @param {string} input - Expression text
+ * @returns {string}
+ */
+function expandConciseUncertainty(input) {
+  return input.replace(CONCISE_UNCERTAINTY, (match, sign, whole, fraction, uncertainty) => {
+    const scale = 10n ** BigInt(fraction.length);
+    const centre = new Rational(BigInt(`${sign}${whole}${fraction}`), scale);
+    const offset = new Rational(BigInt(uncertainty), scale);
+    return `(${centre.subtract(offset).toString()}:${centre.add(offset).toString()})`;
+  });
+}
+
+export { formatGuaranteedDigits, formatConciseUncertainty, expandConciseUncertainty };
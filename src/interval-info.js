@@ -0,0 +1,77 @@
+/**
+ * Interval diagnostics
+ *
+ * Exact width, midpoint, radius and relative width of a RationalInterval, the
+ * integers it contains, and the simplest rational inside it: the one with the
+ * smallest denominator (and then the smallest numerator), found by walking
+ * the continued fraction expansions the endpoints share.
+ */
+
+import { Rational } from "@ratmath/core";
+
+// Simplest fraction in [ln/ld, hn/hd] for 0 <= ln/ld <= hn/hd, as [numerator, denominator]
+function simplestNonNegative(ln, ld, hn, hd) {
+  const whole = ln / ld;
+  const ceiling = (ln + ld - 1n) / ld;
+  if (ceiling * hd <= hn) return [ceiling, 1n];
+
+  // Both endpoints lie strictly between whole and whole + 1, so x = whole + 1/y
+  // with y in [1/(high - whole), 1/(low - whole)], and the simplest x has the simplest y
+  const [n, d] = simplestNonNegative(hd, hn - whole * hd, ld, ln - whole * ld);
+  return [whole * n + d, n];
+}
+
+/**
+ * The rational with the smallest denominator in a closed interval
+ * @param {RationalInterval} interval
+ * @returns {Rational}
+ */
+function simplestRational(interval) {
+  const { low, high } = interval;
+  if (low.numerator <= 0n && high.numerator >= 0n) return new Rational(0);
+  if (high.numerator < 0n) {
+    const [n, d] = simplestNonNegative(-high.numerator, high.denominator, -low.numerator, low.denominator);
+    return new Rational(-n, d);
+  }
+  const [n, d] = simplestNonNegative(low.numerator, low.denominator, high.numerator, high.denominator);
+  return new Rational(n, d);
+}
+
+// floor and ceiling of a rational, as BigInts
+function floor(value) {
+  const quotient = value.numerator / value.denominator;
+  return value.numerator < 0n && quotient * value.denominator !== value.numerator ? quotient - 1n : quotient;
+}
+
+function ceiling(value) {
+  const quotient = value.numerator / value.denominator;
+  return value.numerator > 0n && quotient * value.denominator !== value.numerator ? quotient + 1n : quotient;
+}
+
+/**
+ * Properties of an interval used for error budgets
+ * @param {RationalInterval} interval
+ * @returns {{width: Rational, midpoint: Rational, radius: Rational, relativeWidth: Rational|null,
+ *   containsZero: boolean, integers: {first: bigint, last: bigint}|null, simplest: Rational}}
+ *   relativeWidth is width / |midpoint|, null when the midpoint is zero
+ */
+function intervalInfo(interval) {
+  const { low, high } = interval;
+  const two = new Rational(2);
+  const width = high.subtract(low);
+  const midpoint = low.add(high).divide(two);
+  const first = ceiling(low);
+  const last = floor(high);
+
+  return {
+    width,
+    midpoint,
+    radius: width.divide(two),
+    relativeWidth: midpoint.numerator === 0n ? null : width.divide(midpoint.abs()),
+    containsZero: low.numerator <= 0n && high.numerator >= 0n,
+    integers: first <= last ? { first, last } : null,
+    simplest: simplestRational(interval),
+  };
+}
+
+export { simplestRational, intervalInfo };
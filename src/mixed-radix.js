@@ -0,0 +1,95 @@
+/**
+ * Mixed-radix output systems
+ *
+ * A mixed-radix system writes a value in a chain of units where each unit is a
+ * fixed number of the next: hours, minutes and seconds (h 60 m 60 s), degrees,
+ * minutes and seconds of arc, feet, inches and sixteenths. The value is taken
+ * in the first unit, so 1.51 in "h 60 m 60 s" is 1h 30m 36s. When the value
+ * does not come out even in the last unit, the exact rational remainder of
+ * that unit is written after it (0h 8m 34s + 2/7s for 1/7 hour).
+ */
+
+import { gcd } from "./factorization.js";
+
+// A system name must start with a letter; single letters are reserved for base prefixes
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]+$/;
+
+class MixedRadixSystem {
+  /**
+   * @param {string} name - Used to select the system, e.g. "hms"
+   * @param {string[]} units - Unit labels from largest to smallest
+   * @param {bigint[]} radices - How many of each unit make the one before it
+   */
+  constructor(name, units, radices) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Mixed-radix name '${name}' must be a letter followed by one or more letters, digits or _`);
+    }
+    if (units.length !== radices.length + 1 || radices.length === 0) {
+      throw new Error("A mixed-radix system needs units separated by radices, e.g. h 60 m 60 s");
+    }
+    if (radices.some((radix) => radix < 2n)) {
+      throw new Error("Mixed-radix radices must be whole numbers of at least 2");
+    }
+    this.name = name.toLowerCase();
+    this.units = units;
+    this.radices = radices;
+  }
+
+  /**
+   * Read a definition such as "h 60 m 60 s" (units alternating with radices)
+   * @returns {MixedRadixSystem}
+   */
+  static parse(name, definition) {
+    const tokens = definition.trim().split(/\s+/).filter(Boolean);
+    const units = tokens.filter((token, i) => i % 2 === 0);
+    const radixTokens = tokens.filter((token, i) => i % 2 === 1);
+    if (units.some((unit) => /^\d+$/.test(unit)) || radixTokens.some((radix) => !/^\d+$/.test(radix))) {
+      throw new Error("A mixed-radix system needs units separated by radices, e.g. h 60 m 60 s");
+    }
+    return new MixedRadixSystem(name, units, radixTokens.map(BigInt));
+  }
+
+  get definition() {
+    return this.units.flatMap((unit, i) => (i < this.radices.length ? [unit, this.radices[i]] : [unit])).join(" ");
+  }
+
+  equals(other) {
+    return other instanceof MixedRadixSystem && other.name === this.name && other.definition === this.definition;
+  }
+
+  /**
+   * Write a rational in this system
+   * @param {Rational} rational - Value in the first unit
+   * @returns {string} e.g. "1h 30m 36s" or "-0h 8m 34s + 2/7s"
+   */
+  format(rational) {
+    const negative = rational.numerator < 0n;
+    let numerator = negative ? -rational.numerator : rational.numerator;
+    const denominator = rational.denominator;
+
+    const fields = [numerator / denominator];
+    numerator %= denominator;
+    for (const radix of this.radices) {
+      numerator *= radix;
+      fields.push(numerator / denominator);
+      numerator %= denominator;
+    }
+
+    let text = fields.map((field, i) => `${field}${this.units[i]}`).join(" ");
+    if (numerator !== 0n) {
+      const divisor = gcd(numerator, denominator);
+      text += ` + ${numerator / divisor}/${denominator / divisor}${this.units[this.units.length - 1]}`;
+    }
+    return negative ? `-${text}` : text;
+  }
+}
+
+// Systems available in every session
+const PRESET_MIXED_RADIX = [
+  new MixedRadixSystem("hms", ["h", "m", "s"], [60n, 60n]),
+  new MixedRadixSystem("dhms", ["d", "h", "m", "s"], [24n, 60n, 60n]),
+  new MixedRadixSystem("dms", ["°", "′", "″"], [60n, 60n]),
+  new MixedRadixSystem("ftin", ["ft", "in", "/16"], [12n, 16n]),
+];
+
+export { MixedRadixSystem, PRESET_MIXED_RADIX };
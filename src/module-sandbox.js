@@ -0,0 +1,262 @@
+/**
+ * Sandbox for JS modules loaded with LOAD
+ *
+ * A JS module runs in a worker started by a sandboxed frame (an iframe with
+ * only allow-scripts, so it has an opaque origin and cannot touch the page).
+ * The frame's Content-Security-Policy blocks every request, and workers made
+ * from blob: URLs inherit it, so the module cannot fetch, open sockets or
+ * import anything from the network; it gets its own source and the arguments
+ * of each call, nothing else. The page reaches the worker over a MessageChannel.
+ *
+ * Calculator evaluation is synchronous, so module functions are registered in
+ * the evaluation worker as proxies that call through a ModuleBridge: the call
+ * is posted to the page, which asks the sandbox, and the worker blocks until
+ * the page writes the outcome into shared memory. Every call runs, in order,
+ * exactly as if the module were local. Shared memory needs a cross-origin
+ * isolated page; elsewhere JS modules are refused.
+ */
+
+import { serializeValue, deserializeValue } from "./serialization.js";
+
+// Milliseconds a call may run before the module is stopped
+const CALL_TIMEOUT = 60000;
+
+// Bytes of serialized outcome a call can pass back to the evaluation worker
+const REPLY_SIZE = 1 << 20;
+
+// The frame only hands the module to a worker. It allows inline script for itself and blob:
+// URLs for the worker and the module, and nothing else: no requests, no further imports.
+const FRAME_POLICY = "default-src 'none'; script-src 'unsafe-inline' blob:; worker-src blob:";
+const FRAME_SOURCE = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="${FRAME_POLICY}">
+<script>
+onmessage = (event) => {
+  onmessage = null;
+  const { runtime, source } = event.data;
+  const worker = new Worker(URL.createObjectURL(new Blob([runtime], { type: "text/javascript" })), { type: "module" });
+  worker.postMessage({ source }, [event.ports[0]]);
+};
+</script>`;
+
+// The worker's code (src/sandbox-worker.js), built into one file by build-sandbox
+const RUNTIME_URL = new URL("./sandbox-worker.js", import.meta.url);
+
+class ModuleSandbox {
+  /**
+   * @param {string} url - The module's URL as given to LOAD
+   * @param {MessagePort} port - Connected to the sandbox worker
+   * @param {HTMLIFrameElement} [frame] - Removed (stopping the worker) when the sandbox is closed
+   */
+  constructor(url, port, frame = null) {
+    this.url = url;
+    this.port = port;
+    this.frame = frame;
+    this.timeout = CALL_TIMEOUT;
+    this.manifest = null; // { functions, variables } as reported by the sandbox
+    this.calls = new Map(); // Calls waiting for a reply, by id
+    this.callCount = 0;
+    this.stopped = false;
+    this.loading = null; // Settles the promise returned by connect
+    this.port.onmessage = (e) => this.receive(e.data);
+  }
+
+  // Whether JS modules can be sandboxed here: only pages make sandboxed frames, and only
+  // cross-origin isolated ones share memory with the evaluation worker
+  static available() {
+    return (
+      typeof HTMLIFrameElement !== "undefined" &&
+      typeof MessageChannel !== "undefined" &&
+      globalThis.crossOriginIsolated === true
+    );
+  }
+
+  /**
+   * Start a sandbox for a module
+   * @param {string} url - The module's URL as given to LOAD
+   * @param {string} source - The module's code; it cannot import other files
+   * @returns {Promise<ModuleSandbox>}
+   */
+  static async open(url, source) {
+    const response = await fetch(RUNTIME_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch the sandbox (Status ${response.status})`);
+    }
+    const runtime = await response.text();
+
+    const channel = new MessageChannel();
+    const frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "allow-scripts");
+    frame.hidden = true;
+    frame.srcdoc = FRAME_SOURCE;
+    const sandbox = new ModuleSandbox(url, channel.port1, frame);
+    frame.addEventListener("load", () => {
+      // An opaque origin only accepts "*" as the target origin; the port is what is private
+      frame.contentWindow.postMessage({ runtime, source }, "*", [channel.port2]);
+    });
+    document.body.appendChild(frame);
+    return sandbox.connect();
+  }
+
+  /**
+   * Wait for the sandbox to report the module's exports
+   * @returns {Promise<ModuleSandbox>}
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.loading = null;
+        this.close();
+        reject(new Error(`The sandbox for ${this.url} did not start within ${this.timeout / 1000} seconds`));
+      }, this.timeout);
+      this.loading = { resolve, reject, timer };
+    });
+  }
+
+  receive(data) {
+    if (data.id === undefined) {
+      // The reply to loading the module
+      const loading = this.loading;
+      this.loading = null;
+      if (!loading) return;
+      clearTimeout(loading.timer);
+      if (data.error) {
+        this.close();
+        loading.reject(new Error(data.error));
+      } else {
+        this.manifest = data.manifest;
+        loading.resolve(this);
+      }
+      return;
+    }
+
+    const call = this.calls.get(data.id);
+    if (!call) return;
+    this.calls.delete(data.id);
+    clearTimeout(call.timer);
+    if (data.error) {
+      call.reject(new Error(data.error));
+    } else {
+      call.resolve(data.result);
+    }
+  }
+
+  close() {
+    this.stopped = true;
+    this.port.close();
+    if (this.frame) this.frame.remove();
+    this.frame = null;
+    for (const call of this.calls.values()) {
+      clearTimeout(call.timer);
+      call.reject(new Error(`The sandbox for ${this.url} was closed`));
+    }
+    this.calls.clear();
+  }
+
+  /**
+   * Call an exported function
+   * @param {string} name
+   * @param {Array<Object|null>} args - Serialized calculator values, null for omitted ones
+   * @returns {Promise<Object>} The serialized result
+   */
+  call(name, args) {
+    if (this.stopped) {
+      return Promise.reject(
+        new Error(`The sandbox for ${this.url} was stopped; reload the page to use it again`),
+      );
+    }
+
+    const id = ++this.callCount;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.calls.delete(id);
+        this.close();
+        reject(new Error(`${name} did not finish within ${this.timeout / 1000} seconds; its module was stopped`));
+      }, this.timeout);
+      this.calls.set(id, { resolve, reject, timer });
+      this.port.postMessage({ id, name, args });
+    });
+  }
+}
+
+/**
+ * Evaluation worker side of sandboxed calls, which it makes as if they were local
+ */
+class ModuleBridge {
+  /**
+   * @param {Function} post - Sends a call ({ url, name, args, signal, reply }) to the page
+   */
+  constructor(post) {
+    this.post = post;
+    this.signal = new Int32Array(new SharedArrayBuffer(8)); // [answered, reply length]
+    this.reply = new Uint8Array(new SharedArrayBuffer(REPLY_SIZE));
+  }
+
+  /**
+   * Make a call and wait for its result
+   * @param {Array} values - Calculator values, undefined for omitted arguments
+   */
+  call(url, name, values) {
+    const args = values.map((value) => (value === undefined ? null : serializeValue(value)));
+    Atomics.store(this.signal, 0, 0);
+    this.post({ url, name, args, signal: this.signal, reply: this.reply });
+    // The sandbox gives up on a call after its timeout, and the page then answers with an error
+    if (Atomics.wait(this.signal, 0, 0, CALL_TIMEOUT * 2) === "timed-out") {
+      throw new Error(`${name} got no answer from its sandboxed module`);
+    }
+    // Decoding needs an unshared copy
+    const bytes = this.reply.slice(0, Atomics.load(this.signal, 1));
+    const outcome = JSON.parse(new TextDecoder().decode(bytes));
+    if (outcome.error) throw new Error(outcome.error);
+    return deserializeValue(outcome.result);
+  }
+
+  /**
+   * Page side: hand a call's outcome to the waiting worker
+   * @param {{signal: Int32Array, reply: Uint8Array}} call - As posted by call()
+   * @param {{result: Object}|{error: string}} outcome
+   */
+  static answer({ signal, reply }, outcome) {
+    let bytes = new TextEncoder().encode(JSON.stringify(outcome));
+    if (bytes.length > reply.length) {
+      bytes = new TextEncoder().encode(JSON.stringify({ error: "The result is too large to pass back from the sandbox" }));
+    }
+    reply.set(bytes);
+    Atomics.store(signal, 1, bytes.length);
+    Atomics.store(signal, 0, 1);
+    Atomics.notify(signal, 0);
+  }
+}
+
+/**
+ * A sandboxed module's exports in the form VariableManager.loadModule takes
+ * @param {string} url - The module's URL as given to LOAD
+ * @param {{functions: Object, variables: Object}} manifest - As reported by its sandbox
+ * @param {ModuleBridge|null} bridge - Makes calls to its JS functions; without one (on the
+ *   page) they fail, as they only run in the evaluation worker
+ * @returns {{functions: Object, variables: Object}}
+ */
+function moduleScope(url, manifest, bridge) {
+  const functions = {};
+  for (const [name, def] of Object.entries(manifest.functions)) {
+    if (def.type !== "js") {
+      // Functions written as calculator expressions are plain data and run as usual
+      functions[name] = def;
+      continue;
+    }
+    functions[name] = {
+      type: "js",
+      body: (...values) => {
+        if (!bridge) throw new Error(`${name} comes from a JS module, which only runs in the evaluation worker`);
+        return bridge.call(url, name, values);
+      },
+      params: def.params,
+      doc: def.doc,
+    };
+  }
+  const variables = Object.fromEntries(
+    Object.entries(manifest.variables).map(([name, data]) => [name, deserializeValue(data)]),
+  );
+  return { functions, variables };
+}
+
+export { ModuleSandbox, ModuleBridge, moduleScope };
@@ -0,0 +1,347 @@
+/**
+ * Nonstandard positional systems for output
+ *
+ * Three families of positional systems that BaseSystem cannot describe:
+ *
+ * - balanced ternary: digits -1, 0, 1 written -, 0, +, so negative numbers need
+ *   no sign (-0.+ is -1 + 1/9)
+ * - negative bases (negabinary, negadecimal, ...): base -b with digits 0 to b-1,
+ *   again without a sign
+ * - bijective base k: digits 1 to k and no zero digit (1, 2, ..., 9, A, 11 in
+ *   bijective base 10); zero is the empty numeral, written ε
+ *
+ * and two whose place values are not powers of one radix:
+ *
+ * - the factorial base (factoradic): place values ..., 3!, 2!, 1!, 0! with the
+ *   digit for n! below n + 1, and 1/2!, 1/3!, ... after the point with the
+ *   digit for 1/n! below n, so 463 is 341010 and 5/6 is 0.12; every rational
+ *   terminates, by the place of the largest prime factor of its denominator
+ * - the Zeckendorf representation of integers: a sum of non-consecutive
+ *   Fibonacci numbers 1, 2, 3, 5, 8, ... written as bits (12 is 10101)
+ *
+ * Fraction parts are found by repeated digit extraction from a remainder kept
+ * in a fixed range, so every rational gets an exact, eventually periodic
+ * expansion with its repetend marked by #, as in ordinary base output.
+ * Values on the boundary of the range have two expansions; one is chosen
+ * consistently (1/2 is 0.#+ in balanced ternary).
+ */
+
+// Longest repetend searched for, as for ordinary base output
+const MAX_PERIOD = 1000000;
+
+// Factoradic fractions are cut off with ... after this many places
+const MAX_FACTORADIC_PLACES = 10000;
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BIJECTIVE_DIGITS = "123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const BALANCED_TERNARY_DIGITS = { "-1": "-", 0: "0", 1: "+" };
+
+// floor(a / b) for b > 0
+function floorDiv(a, b) {
+  const quotient = a / b;
+  return a < 0n && quotient * b !== a ? quotient - 1n : quotient;
+}
+
+// ceil(a / b) for b > 0
+function ceilDiv(a, b) {
+  return -floorDiv(-a, b);
+}
+
+/**
+ * Fraction digits from a remainder over a fixed denominator
+ * @param {bigint} remainder - Start of the fraction part, as remainder / denominator
+ * @param {function(bigint): [string, bigint]} step - Next digit and remainder
+ * @param {boolean} canTerminate - Whether a zero remainder ends the expansion
+ * @returns {{digits: string, period: number}} period 0 for terminating, -1 past MAX_PERIOD
+ */
+function expandFraction(remainder, step, canTerminate) {
+  const digits = [];
+  const seen = new Map();
+  while (!(canTerminate && remainder === 0n) && !seen.has(remainder)) {
+    if (digits.length >= MAX_PERIOD) {
+      return { digits: `${digits.join("")}...`, period: -1 };
+    }
+    seen.set(remainder, digits.length);
+    const [digit, next] = step(remainder);
+    digits.push(digit);
+    remainder = next;
+  }
+  if (canTerminate && remainder === 0n) {
+    return { digits: digits.join(""), period: 0 };
+  }
+  const start = seen.get(remainder);
+  return {
+    digits: `${digits.slice(0, start).join("")}#${digits.slice(start).join("")}`,
+    period: digits.length - start,
+  };
+}
+
+function joinExpansion(whole, { digits, period }) {
+  return { text: digits ? `${whole}.${digits}` : whole, period };
+}
+
+class BalancedTernary {
+  constructor() {
+    this.radix = 3n;
+    this.name = "Balanced ternary";
+    this.spec = "bal3";
+  }
+
+  equals(other) {
+    return other instanceof BalancedTernary;
+  }
+
+  /**
+   * @param {Rational} rational
+   * @returns {{text: string, period: number}}
+   */
+  expand(rational) {
+    const { numerator, denominator } = rational;
+    // Nearest integer, ties toward zero, leaves a fraction part in [-1/2, 1/2]
+    const nearest = (n) => {
+      const magnitude = n < 0n ? -n : n;
+      const rounded = (2n * magnitude + denominator - 1n) / (2n * denominator);
+      return n < 0n ? -rounded : rounded;
+    };
+
+    let whole = nearest(numerator);
+    let wholeDigits = "";
+    for (let n = whole; n !== 0n; ) {
+      let digit = ((n % 3n) + 3n) % 3n;
+      if (digit === 2n) digit = -1n;
+      wholeDigits = BALANCED_TERNARY_DIGITS[digit] + wholeDigits;
+      n = (n - digit) / 3n;
+    }
+
+    const fraction = expandFraction(
+      numerator - whole * denominator,
+      (remainder) => {
+        const digit = nearest(3n * remainder);
+        return [BALANCED_TERNARY_DIGITS[digit], 3n * remainder - digit * denominator];
+      },
+      true,
+    );
+    return joinExpansion(wholeDigits || "0", fraction);
+  }
+}
+
+class NegativeBase {
+  /**
+   * @param {number} base - b for base -b, 2 to 36
+   */
+  constructor(base) {
+    if (!Number.isInteger(base) || base < 2 || base > 36) {
+      throw new Error("Negative bases run from -2 to -36");
+    }
+    this.radix = BigInt(base);
+    this.name = base === 2 ? "Negabinary" : base === 10 ? "Negadecimal" : `Base -${base}`;
+    this.spec = `-${base}`;
+  }
+
+  equals(other) {
+    return other instanceof NegativeBase && other.radix === this.radix;
+  }
+
+  expand(rational) {
+    const { numerator, denominator } = rational;
+    const b = this.radix;
+    // Fraction parts in base -b cover [-b/(b+1), 1/(b+1)]
+    const whole = floorDiv(numerator * (b + 1n) + b * denominator, (b + 1n) * denominator);
+
+    let wholeDigits = "";
+    for (let n = whole; n !== 0n; ) {
+      const digit = ((n % b) + b) % b;
+      wholeDigits = DIGITS[Number(digit)] + wholeDigits;
+      n = (n - digit) / -b;
+    }
+
+    const fraction = expandFraction(
+      numerator - whole * denominator,
+      (remainder) => {
+        const scaled = -b * remainder;
+        let digit = floorDiv(scaled * (b + 1n) + b * denominator, (b + 1n) * denominator);
+        if (digit > b - 1n) digit = b - 1n;
+        return [DIGITS[Number(digit)], scaled - digit * denominator];
+      },
+      true,
+    );
+    return joinExpansion(wholeDigits || "0", fraction);
+  }
+}
+
+class BijectiveBase {
+  /**
+   * @param {number} base - k, 2 to 35
+   */
+  constructor(base) {
+    if (!Number.isInteger(base) || base < 2 || base > 35) {
+      throw new Error("Bijective bases run from 2 to 35");
+    }
+    this.radix = BigInt(base);
+    this.name = `Bijective base ${base}`;
+    this.spec = `bij${base}`;
+  }
+
+  equals(other) {
+    return other instanceof BijectiveBase && other.radix === this.radix;
+  }
+
+  expand(rational) {
+    const k = this.radix;
+    const negative = rational.numerator < 0n;
+    const numerator = negative ? -rational.numerator : rational.numerator;
+    const denominator = rational.denominator;
+    const sign = negative ? "-" : "";
+
+    // Fraction parts made of digits 1 to k cover [1/(k-1), k/(k-1)]
+    let whole = numerator / denominator;
+    let remainder = numerator - whole * denominator;
+    if (remainder !== 0n && remainder * (k - 1n) < denominator) {
+      if (whole === 0n) {
+        throw new Error(`values between 0 and 1/${k - 1n} have no bijective base-${k} expansion`);
+      }
+      whole -= 1n;
+      remainder += denominator;
+    }
+
+    let wholeDigits = "";
+    for (let n = whole; n > 0n; ) {
+      let digit = n % k;
+      if (digit === 0n) digit = k;
+      wholeDigits = BIJECTIVE_DIGITS[Number(digit) - 1] + wholeDigits;
+      n = (n - digit) / k;
+    }
+    if (remainder === 0n) {
+      return { text: `${sign}${wholeDigits || "ε"}`, period: 0 };
+    }
+
+    const fraction = expandFraction(
+      remainder,
+      (current) => {
+        const scaled = k * current;
+        let digit = ceilDiv(scaled * (k - 1n) - k * denominator, (k - 1n) * denominator);
+        if (digit < 1n) digit = 1n;
+        return [BIJECTIVE_DIGITS[Number(digit) - 1], scaled - digit * denominator];
+      },
+      false,
+    );
+    return joinExpansion(`${sign}${wholeDigits}`, fraction);
+  }
+}
+
+class FactorialBase {
+  constructor() {
+    this.radix = null;
+    this.name = "Factorial base";
+    this.spec = "fac";
+  }
+
+  equals(other) {
+    return other instanceof FactorialBase;
+  }
+
+  // Digits past z are written in decimal in parentheses, e.g. (36)
+  static digit(value) {
+    return value < 36n ? DIGITS[Number(value)] : `(${value})`;
+  }
+
+  expand(rational) {
+    const negative = rational.numerator < 0n;
+    const numerator = negative ? -rational.numerator : rational.numerator;
+    const denominator = rational.denominator;
+
+    // The 0! place is always 0, so whole numbers end in 0
+    let wholeDigits = "0";
+    for (let n = numerator / denominator, place = 2n; n !== 0n; place++) {
+      wholeDigits = FactorialBase.digit(n % place) + wholeDigits;
+      n /= place;
+    }
+
+    let remainder = numerator % denominator;
+    let fractionDigits = "";
+    for (let place = 2n; remainder !== 0n; place++) {
+      if (place - 2n >= MAX_FACTORADIC_PLACES) {
+        fractionDigits += "...";
+        break;
+      }
+      const scaled = remainder * place;
+      const digit = scaled / denominator;
+      fractionDigits += FactorialBase.digit(digit);
+      remainder = scaled - digit * denominator;
+    }
+    const text = fractionDigits ? `${wholeDigits}.${fractionDigits}` : wholeDigits;
+    return { text: negative ? `-${text}` : text, period: 0 };
+  }
+}
+
+class ZeckendorfSystem {
+  constructor() {
+    this.radix = null;
+    this.name = "Zeckendorf";
+    this.spec = "zeck";
+  }
+
+  equals(other) {
+    return other instanceof ZeckendorfSystem;
+  }
+
+  expand(rational) {
+    if (rational.denominator !== 1n) {
+      throw new Error("Zeckendorf representations are only defined for integers");
+    }
+    const negative = rational.numerator < 0n;
+    let n = negative ? -rational.numerator : rational.numerator;
+    if (n === 0n) return { text: "0", period: 0 };
+
+    const fibonacci = [1n, 2n];
+    while (fibonacci[fibonacci.length - 1] <= n) {
+      fibonacci.push(fibonacci[fibonacci.length - 1] + fibonacci[fibonacci.length - 2]);
+    }
+    // Greedy choice from the largest Fibonacci number never takes two in a row
+    let bits = "";
+    for (let i = fibonacci.length - 2; i >= 0; i--) {
+      if (fibonacci[i] <= n) {
+        bits += "1";
+        n -= fibonacci[i];
+      } else {
+        bits += "0";
+      }
+    }
+    return { text: `${negative ? "-" : ""}${bits.replace(/^0+/, "")}`, period: 0 };
+  }
+}
+
+/**
+ * Look up a system by its BASE name: bal3 or balanced; -b or negb (also
+ * negabinary and negadecimal); bijk; fac or factoradic; zeck or zeckendorf
+ * @returns {BalancedTernary|NegativeBase|BijectiveBase|FactorialBase|ZeckendorfSystem|null}
+ */
+function parseNonstandardBase(spec) {
+  const lower = spec.trim().toLowerCase();
+  if (lower === "bal3" || lower === "balanced") return new BalancedTernary();
+  if (lower === "negabinary") return new NegativeBase(2);
+  if (lower === "negadecimal") return new NegativeBase(10);
+  if (lower === "fac" || lower === "factoradic") return new FactorialBase();
+  if (lower === "zeck" || lower === "zeckendorf") return new ZeckendorfSystem();
+  const negative = lower.match(/^(?:-|neg)(\d+)$/);
+  if (negative) return new NegativeBase(Number(negative[1]));
+  const bijective = lower.match(/^bij(\d+)$/);
+  if (bijective) return new BijectiveBase(Number(bijective[1]));
+  return null;
+}
+
+function isNonstandardBase(base) {
+  return [BalancedTernary, NegativeBase, BijectiveBase, FactorialBase, ZeckendorfSystem].some(
+    (system) => base instanceof system,
+  );
+}
+
+export {
+  BalancedTernary,
+  NegativeBase,
+  BijectiveBase,
+  FactorialBase,
+  ZeckendorfSystem,
+  parseNonstandardBase,
+  isNonstandardBase,
+};
@@ -0,0 +1,70 @@
+/**
+ * Structure of repeating expansions
+ *
+ * Explains the preperiod and period of a rational's expansion in a base from
+ * the factorization of its denominator, without generating any digits. The
+ * prime powers the denominator shares with the base make up the preperiod
+ * (p^e needs ceil(e / v_p(base)) digits); each of the others contributes the
+ * multiplicative order of the base modulo it, and the period is the lcm of
+ * those orders. The repetend is the cyclic number of base b for the prime p
+ * (the repetend of 1/p, whose multiples by 1 to p - 1 are its rotations) when
+ * b is a primitive root mod p and the repeating part starts at remainder 1/p.
+ */
+
+import { DEFAULT_EFFORT, modPow, isPrime, factorize } from "./factorization.js";
+import { multiplicativeOrder, expansionStructure } from "./digit-expansion.js";
+
+/**
+ * @param {Rational} rational
+ * @param {number} base - 2 or more
+ * @param {number} effort - Pollard rho iterations allowed per factorization
+ * @returns {{preperiod: number, period: bigint|null, modulus: bigint,
+ *   factors: Array<{prime: bigint, exponent: number, preperiod?: number, order?: bigint|null}>,
+ *   cofactors: bigint[], cyclic: {value: boolean|null, reason: string}}}
+ *   period and order are null when a factorization is not completed within effort; each
+ *   factor of the denominator has a preperiod when it divides the base and an order otherwise
+ */
+function periodAnalysis(rational, base = 10, effort = DEFAULT_EFFORT) {
+  const b = BigInt(base);
+  const { preperiod, period, modulus } = expansionStructure(rational, base, effort);
+  const { primes, cofactors } = factorize(rational.denominator, effort);
+
+  const factors = [...primes].sort((x, y) => (x[0] < y[0] ? -1 : 1)).map(([prime, exponent]) => {
+    if (b % prime === 0n) {
+      let multiplicity = 0;
+      for (let rest = b; rest % prime === 0n; rest /= prime) multiplicity++;
+      return { prime, exponent, preperiod: Math.ceil(exponent / multiplicity) };
+    }
+    const power = prime ** BigInt(exponent);
+    return { prime, exponent, order: multiplicativeOrder(b % power, power, effort) };
+  });
+
+  return {
+    preperiod,
+    period,
+    modulus,
+    factors,
+    cofactors: [...cofactors.keys()],
+    cyclic: cyclicRepetend(rational, b, preperiod, period, modulus),
+  };
+}
+
+function cyclicRepetend(rational, b, preperiod, period, modulus) {
+  if (modulus === 1n) return { value: false, reason: "the expansion terminates" };
+  if (period === null) return { value: null, reason: "the period is not known" };
+  if (!isPrime(modulus)) return { value: false, reason: `${modulus} is not prime` };
+  if (period !== modulus - 1n) {
+    return { value: false, reason: `${b} is not a primitive root mod ${modulus} (period ${period} < ${modulus - 1n})` };
+  }
+
+  // The repeating part is r/modulus for the remainder r reached after the preperiod
+  const { numerator, denominator } = rational;
+  const fraction = (numerator < 0n ? -numerator : numerator) % denominator;
+  const start = (fraction * modPow(b, BigInt(preperiod), denominator)) % denominator / (denominator / modulus);
+  if (start !== 1n) {
+    return { value: false, reason: `it is a rotation of the cyclic repetend of 1/${modulus}` };
+  }
+  return { value: true, reason: `the repetend of 1/${modulus}, as ${b} is a primitive root mod ${modulus}` };
+}
+
+export { periodAnalysis };
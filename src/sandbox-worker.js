@@ -0,0 +1,69 @@
+/**
+ * Sandbox worker for a JS module loaded with LOAD
+ *
+ * Started by the sandboxed frame of ModuleSandbox from a blob: URL, so it runs
+ * under the frame's Content-Security-Policy: no requests and no imports except
+ * blob: URLs. It imports the module from its source and runs its exported
+ * functions with the arguments of each call. Built into docs/sandbox-worker.js
+ * by the build-sandbox script, as the page fetches it as a single file.
+ *
+ * Messages in:  { source } once, with the port to the page
+ * On the port:  in { id, name, args }; out { manifest } or { error } once after
+ *               loading, then { id, result } or { id, error } for each call
+ */
+
+import { serializeValue, deserializeValue } from "./serialization.js";
+
+let functions = {};
+let port = null;
+
+async function load(source) {
+  try {
+    const url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+    const mod = await import(url);
+    URL.revokeObjectURL(url);
+    const scope = mod.default || mod;
+    functions = scope.functions || {};
+
+    // Report what the page needs to register the module: signatures, docs and plain values
+    const manifest = { functions: {}, variables: {} };
+    for (const [name, def] of Object.entries(functions)) {
+      manifest.functions[name] =
+        typeof def.body === "function"
+          ? { type: "js", params: def.params || [], doc: def.doc || "" }
+          : { ...def };
+    }
+    for (const [name, value] of Object.entries(scope.variables || {})) {
+      const data = serializeValue(value);
+      if (data) manifest.variables[name] = data;
+    }
+    port.postMessage({ manifest });
+  } catch (error) {
+    port.postMessage({ error: `JS Import failed: ${error.message}` });
+  }
+}
+
+function call({ id, name, args }) {
+  try {
+    const def = functions[name];
+    if (!def || typeof def.body !== "function") {
+      throw new Error(`Module has no function '${name}'`);
+    }
+    // Omitted arguments arrive as null and are passed on as undefined, as in the calculator
+    const values = args.map((data) => (data === null ? undefined : deserializeValue(data)));
+    const result = serializeValue(def.body(...values));
+    if (result === null) {
+      throw new Error(`${name} returned a value that is not a number, interval, sequence or string`);
+    }
+    port.postMessage({ id, result });
+  } catch (error) {
+    port.postMessage({ id, error: error.message });
+  }
+}
+
+self.onmessage = (event) => {
+  self.onmessage = null;
+  port = event.ports[0];
+  port.onmessage = (e) => call(e.data);
+  load(event.data.source);
+};
@@ -0,0 +1,97 @@
+/**
+ * Value serialization for the web calculator
+ *
+ * Converts calculator results (Rational, Integer, RationalInterval, sequences and
+ * strings) and base systems, including mixed-radix and nonstandard positional
+ * ones, into plain JSON-safe objects and back. BigInt parts are stored as decimal strings so nothing is
+ * lost in transit.
+ */
+
+import { Rational, RationalInterval, Integer, BaseSystem } from "@ratmath/core";
+import { MixedRadixSystem } from "./mixed-radix.js";
+import { parseNonstandardBase, isNonstandardBase } from "./nonstandard-bases.js";
+
+// Built-in base systems are restored to their shared instances so prefix lookups keep working
+const STANDARD_BASES = [
+  BaseSystem.DECIMAL,
+  BaseSystem.BINARY,
+  BaseSystem.OCTAL,
+  BaseSystem.HEXADECIMAL,
+  BaseSystem.BASE36,
+  BaseSystem.BASE60,
+  BaseSystem.BASE62,
+];
+
+function serializeValue(value) {
+  if (value instanceof RationalInterval) {
+    return {
+      type: "interval",
+      low: serializeValue(value.low),
+      high: serializeValue(value.high),
+    };
+  }
+  if (value instanceof Rational) {
+    return {
+      type: "rational",
+      numerator: value.numerator.toString(),
+      denominator: value.denominator.toString(),
+    };
+  }
+  if (value instanceof Integer) {
+    return { type: "integer", value: value.value.toString() };
+  }
+  if (value && value.type === "sequence") {
+    return { type: "sequence", values: value.values.map(serializeValue) };
+  }
+  if (value && value.type === "string") {
+    return { type: "string", value: value.value };
+  }
+  return null;
+}
+
+function deserializeValue(data) {
+  if (!data) return null;
+
+  switch (data.type) {
+    case "interval":
+      return new RationalInterval(
+        deserializeValue(data.low),
+        deserializeValue(data.high),
+      );
+    case "rational":
+      return new Rational(BigInt(data.numerator), BigInt(data.denominator));
+    case "integer":
+      return new Integer(BigInt(data.value));
+    case "sequence": {
+      const values = data.values.map(deserializeValue);
+      return { type: "sequence", values, lastValue: values[values.length - 1] };
+    }
+    case "string":
+      return { type: "string", value: data.value };
+    default:
+      throw new Error(`Unknown serialized value type '${data.type}'`);
+  }
+}
+
+function serializeBase(base) {
+  if (base instanceof MixedRadixSystem) {
+    return { type: "mixed", name: base.name, definition: base.definition };
+  }
+  if (isNonstandardBase(base)) {
+    return { type: "nonstandard", spec: base.spec };
+  }
+  return { characters: base.characters, name: base.name };
+}
+
+function deserializeBase(data) {
+  if (data.type === "mixed") {
+    return MixedRadixSystem.parse(data.name, data.definition);
+  }
+  if (data.type === "nonstandard") {
+    return parseNonstandardBase(data.spec);
+  }
+  const base = new BaseSystem(data.characters, data.name);
+  return STANDARD_BASES.find((standard) => standard.equals(base)) || base;
+}
+
+export { serializeValue, deserializeValue, serializeBase, deserializeBase };
@@ -0,0 +1,104 @@
+/**
+ * Session Store for the web calculator
+ *
+ * Keeps named calculator sessions in browser storage (localStorage by default).
+ * Each session is stored as a JSON document under its own key, and the name of
+ * the active session is remembered so a reload picks up where it left off. The
+ * JS modules the user has allowed LOAD to run are remembered alongside.
+ */
+
+const DEFAULT_SESSION = "default";
+
+export class SessionStore {
+  constructor(storage = SessionStore.defaultStorage(), prefix = "ratcalc.") {
+    this.storage = storage;
+    this.prefix = prefix;
+    this.sessionPrefix = `${prefix}session.`;
+  }
+
+  static defaultStorage() {
+    // Accessing localStorage can throw (e.g. disabled cookies or sandboxed frames)
+    try {
+      return typeof localStorage !== "undefined" ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  get available() {
+    return this.storage !== null;
+  }
+
+  getCurrentName() {
+    if (!this.available) return DEFAULT_SESSION;
+    return this.storage.getItem(`${this.prefix}current`) || DEFAULT_SESSION;
+  }
+
+  setCurrentName(name) {
+    if (!this.available) return;
+    this.storage.setItem(`${this.prefix}current`, name);
+  }
+
+  load(name) {
+    if (!this.available) return null;
+    const raw = this.storage.getItem(this.sessionPrefix + name);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.error(`Discarding unreadable session '${name}':`, error);
+      return null;
+    }
+  }
+
+  save(name, state) {
+    if (!this.available) return false;
+    try {
+      this.storage.setItem(this.sessionPrefix + name, JSON.stringify(state));
+      return true;
+    } catch (error) {
+      // Most likely the storage quota is exhausted; keep the calculator usable
+      console.error(`Failed to save session '${name}':`, error);
+      return false;
+    }
+  }
+
+  has(name) {
+    return this.available && this.storage.getItem(this.sessionPrefix + name) !== null;
+  }
+
+  remove(name) {
+    if (!this.available) return;
+    this.storage.removeItem(this.sessionPrefix + name);
+  }
+
+  list() {
+    if (!this.available) return [];
+    const names = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key && key.startsWith(this.sessionPrefix)) {
+        names.push(key.substring(this.sessionPrefix.length));
+      }
+    }
+    return names.sort();
+  }
+
+  // URLs of JS modules the user has allowed LOAD to run in its sandbox
+  getTrustedModules() {
+    if (!this.available) return [];
+    try {
+      return JSON.parse(this.storage.getItem(`${this.prefix}trustedModules`)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  trustModule(url) {
+    if (!this.available) return;
+    const trusted = this.getTrustedModules();
+    if (!trusted.includes(url)) {
+      this.storage.setItem(`${this.prefix}trustedModules`, JSON.stringify([...trusted, url]));
+    }
+  }
+}
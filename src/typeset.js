@@ -0,0 +1,139 @@
+/**
+ * Typeset rendering for calculator output
+ *
+ * Turns the plain-text output of the web calculator into HTML with stacked
+ * fractions, an overline (vinculum) over repeating digits, subscript base
+ * markers for non-decimal numbers and bracketed intervals. Only the display
+ * changes: the plain text stays the source for copying and injecting values.
+ */
+
+import { BaseSystem } from "@ratmath/core";
+
+// Digit runs written by the repeat notation, e.g. {0~7} for seven zeros
+const RUN = String.raw`\{[0-9A-Za-z]~\d+\}`;
+const BASE_DIGITS = String.raw`(?:[0-9A-Za-z]|${RUN})`;
+const DECIMAL_DIGITS = String.raw`(?:\d|${RUN})`;
+
+// Number-like tokens in calculator output, most specific first
+const NUMBER_PATTERN = new RegExp(
+  String.raw`(?<![\w.])(-?(?:` +
+  [
+    // Mixed numbers and fractions: 1..2/3, 22/7
+    String.raw`\d+\.\.\d+\/\d+`,
+    String.raw`\d+\/\d+`,
+    // Prefixed bases: 0x1F.#3, 0b0.#01...
+    String.raw`0[a-zA-Z]${BASE_DIGITS}*(?:\.${BASE_DIGITS}*)?(?:#${BASE_DIGITS}*)?(?:\.\.\.)?`,
+    // Explicit base suffix: 1.#2[7]
+    String.raw`[0-9A-Za-z]+(?:\.${BASE_DIGITS}*)?(?:#${BASE_DIGITS}*)?(?:\.\.\.)?\[\d+\]`,
+    // Decimals, possibly repeating or in scientific notation: 0.#3, 1.2#34..., 3.#3E-1
+    String.raw`\d+(?:\.${DECIMAL_DIGITS}*)?(?:#${DECIMAL_DIGITS}*)?(?:\.\.\.)?(?:E-?\d+)?`,
+  ].join("|") +
+  String.raw`))`,
+  "g",
+);
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function stackedFraction(numerator, denominator) {
+  return `<span class="fraction-2d"><span class="numerator">${numerator}</span><span class="fraction-bar"></span><span class="denominator">${denominator}</span></span>`;
+}
+
+function renderDigits(digits) {
+  return escapeHtml(digits).replace(
+    /\{([0-9A-Za-z])~(\d+)\}/g,
+    (_, digit, count) => `<span class="digit-run" title="${digit} repeated ${count} times">${digit}<sup>×${count}</sup></span>`,
+  );
+}
+
+function renderNumber(token) {
+  let match = token.match(/^(-?)(\d+)\.\.(\d+)\/(\d+)$/);
+  if (match) {
+    return `${match[1]}${match[2]}${stackedFraction(match[3], match[4])}`;
+  }
+  match = token.match(/^(-?)(\d+)\/(\d+)$/);
+  if (match) {
+    return `${match[1]}${stackedFraction(match[2], match[3])}`;
+  }
+
+  let body = token;
+  let sign = "";
+  if (body.startsWith("-")) {
+    sign = "-";
+    body = body.substring(1);
+  }
+
+  let base = null;
+  let exponent = null;
+  const prefixMatch = body.match(/^0([a-zA-Z])(.*)$/);
+  const suffixMatch = body.match(/^(.*)\[(\d+)\]$/);
+  const exponentMatch = body.match(/^(.*)E(-?\d+)$/);
+  if (prefixMatch && BaseSystem.getSystemForPrefix(prefixMatch[1])) {
+    base = BaseSystem.getSystemForPrefix(prefixMatch[1]).base;
+    body = prefixMatch[2];
+  } else if (suffixMatch) {
+    base = Number(suffixMatch[2]);
+    body = suffixMatch[1];
+  } else if (exponentMatch) {
+    body = exponentMatch[1];
+    exponent = exponentMatch[2];
+  }
+
+  const truncated = body.endsWith("...");
+  if (truncated) {
+    body = body.substring(0, body.length - 3);
+  }
+
+  const hashIndex = body.indexOf("#");
+  let html = renderDigits(hashIndex === -1 ? body : body.substring(0, hashIndex));
+  if (hashIndex !== -1) {
+    const repetend = body.substring(hashIndex + 1);
+    // #0 marks a terminating expansion: nothing repeats
+    if (repetend !== "" && repetend !== "0") {
+      html += `<span class="repetend">${renderDigits(repetend)}</span>`;
+    }
+  }
+  if (truncated) {
+    html += "…";
+  }
+  if (exponent !== null) {
+    html += `×10<sup>${exponent}</sup>`;
+  }
+  if (base !== null && base !== 10) {
+    html += `<sub class="base-marker">${base}</sub>`;
+  }
+
+  return `${sign}${html}`;
+}
+
+/**
+ * Render a plain-text calculator output as typeset HTML
+ * @param {string} text - Output as produced by WebCalculator.formatResult
+ * @returns {string} HTML with all non-numeric text escaped
+ */
+function typesetOutput(text) {
+  // split() with a capture group alternates text and number tokens
+  const parts = text.split(NUMBER_PATTERN);
+  let html = "";
+
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 0) {
+      html += escapeHtml(parts[i]);
+    } else if (parts[i + 1] === ":" && i + 2 < parts.length) {
+      // low:high with nothing between the endpoints is an interval
+      html += `<span class="typeset-interval">[${renderNumber(parts[i])}, ${renderNumber(parts[i + 2])}]</span>`;
+      i += 2;
+    } else {
+      html += renderNumber(parts[i]);
+    }
+  }
+
+  return html;
+}
+
+export { typesetOutput };
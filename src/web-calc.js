@@ -10,6 +10,22 @@ import { Parser } from "@ratmath/parser";
 import { VariableManager, PackageRegistry, getPackageInfo, resolveDependencies } from "@ratmath/algebra";
 import { registerStdLib } from "@ratmath/stdlib";
 import { IntervalVisualization, OperationVisualization, MultiStepVisualization } from "./IntervalVisualization.js";
+import { SessionStore } from "./session-store.js";
+import { ModuleSandbox, ModuleBridge, moduleScope } from "./module-sandbox.js";
+import { serializeValue, deserializeValue, serializeBase, deserializeBase } from "./serialization.js";
+import { typesetOutput } from "./typeset.js";
+import { formatEngineering } from "./engineering.js";
+import { DEFAULT_EFFORT, formatFactorization } from "./factorization.js";
+import { fractionDigits, expansionStructure } from "./digit-expansion.js";
+import { toLatex, toJSONText, toJavaScript } from "./copy-formats.js";
+import { intervalInfo } from "./interval-info.js";
+import { periodAnalysis } from "./period-analysis.js";
+import { MixedRadixSystem, PRESET_MIXED_RADIX } from "./mixed-radix.js";
+import { parseNonstandardBase, isNonstandardBase } from "./nonstandard-bases.js";
+import { NAMED_SEPARATORS, defaultGroupSize, groupDigits, ungroupDigits, localeSeparators } from "./digit-grouping.js";
+import { EGYPT_METHODS, egyptianFractions, formatEgyptianSum } from "./egyptian.js";
+import { formatGuaranteedDigits, formatConciseUncertainty, expandConciseUncertainty } from "./guaranteed-digits.js";
+import { COMMANDS, findWordAt, getCompletions, findCallAt } from "./completion.js";
 
 // Package module loaders for web - dynamically import bundled packages
 const PackageLoaders = {
@@ -17,13 +33,55 @@ const PackageLoaders = {
     "arith-funs": () => import("@ratmath/arith-funs/src/ratmath-module.js"),
 };
 
+// Evaluation status: delay before showing it, refresh rate, and how long past the
+// time limit a worker that does not stop by itself is given before it is terminated (ms)
+const STATUS_DELAY = 300;
+const STATUS_INTERVAL = 250;
+const HARD_STOP_GRACE = 2000;
+
+// Live preview: typing pause before evaluating, how long the evaluation may take (ms), inputs
+// it never evaluates (loops, module loads, huge powers and factorials) and the denominator size
+// above which the result is shown as a plain fraction instead of searching for its decimal period
+const PREVIEW_DELAY = 250;
+const PREVIEW_TIME_LIMIT = 1000;
+const PREVIEW_SKIP_PATTERN = /\b(?:SUM|SEQ|PROD|LOAD)\b|\^\s*\(?\s*-?\d{5,}|\d{4,}\s*!/i;
+const PREVIEW_MAX_DENOMINATOR = 10n ** 6n;
+
+// More digits panel: digits added per step, and the longest repetend it writes out in full
+const DIGIT_CHUNK = 100;
+const MAX_REPETEND_DIGITS = 100000;
+
+// Bases CONVERT always lists, before any custom bases
+const CONVERT_BASES = [2, 8, 10, 12, 16, 36, 60];
+
+// The input grows with multi-line blocks up to this many rows, then scrolls
+const MAX_INPUT_ROWS = 10;
+
+// Variables that hold previous results: ans and _1, _2, ... (out[n] is rewritten to _n)
+const RESULT_VARIABLE_PATTERN = /^(?:ans|_\d+)$/;
+
+// Commands that are not replayed by SHARE ALL links (they act on the page, not the computation)
+const NON_REPLAYABLE_PATTERN = /^(?:SHARE|SESSIONS|SAVE|EXPORT|LOAD|HELP|CLEAR|VARS)\b/i;
+
+// Calculator commands that may appear in .rat scripts (as written by SAVE/EXPORT)
+const SCRIPT_COMMAND_PATTERN =
+    /^(?:\[\d+\]\s*=|(?:DECI|RAT|BOTH|SCI|ENG|CF|PM|DIGITS|UNCERT|BIN|HEX|OCT|DEC)$|(?:EGYPT|FACT)(?:\s+\w+)?$|(?:MIX|SCIPERIOD|SIPREFIX|TYPESET)(?:\s+(?:ON|OFF))?$|(?:LIMIT|SCIPREC|TIMEOUT|GROUP|RADIX|BASES?)(?:\s|$))/;
+
 class WebCalculator {
   constructor() {
-    this.outputMode = "BOTH"; // 'DECI', 'RAT', 'BOTH', 'SCI', 'CF'
+    this.outputMode = "BOTH"; // 'DECI', 'RAT', 'BOTH', 'SCI', 'ENG', 'CF', 'PM', 'DIGITS', 'UNCERT', 'EGYPT', 'FACT'
     this.decimalLimit = 20; // Maximum decimal places before showing ...
     this.mixedDisplay = true; // Whether to show fractions as mixed numbers by default
     this.sciPrecision = 10; // Scientific notation precision (significant digits)
     this.showPeriodInfo = false; // Whether to show period info in scientific notation
+    this.siPrefixes = false; // Whether engineering notation writes SI prefixes (k, M, µ...) instead of exponents
+    this.egyptMethod = "greedy"; // Egyptian fraction method for EGYPT output: 'greedy', 'binary', 'shortest'
+    this.factorEffort = DEFAULT_EFFORT; // Pollard rho iterations FACT output spends before reporting a cofactor
+    this.typesetDisplay = false; // Whether results are rendered as typeset HTML (stacked fractions etc.)
+    this.digitGrouping = false; // Whether long digit runs are split into groups
+    this.groupSeparator = " "; // Written between digit groups
+    this.groupSize = 0; // Digits per group; 0 picks per base (4 for binary and hex, 3 otherwise)
+    this.decimalSeparator = "."; // Decimal point written in decimal output
     this.history = []; // Command history for up/down arrows
     this.historyIndex = -1; // Current position in history
     this.outputHistory = []; // All input/output pairs for copying
@@ -34,27 +92,57 @@ class WebCalculator {
     this.inputBase = BaseSystem.DECIMAL; // Base system for parsing input
     this.outputBases = [BaseSystem.DECIMAL]; // Array of base systems for displaying output
     this.customBases = new Map(); // Custom base definitions [n] = character_sequence
+    this.mixedRadixSystems = new Map(PRESET_MIXED_RADIX.map((system) => [system.name, system])); // Mixed-radix output systems by name
     this.variableManager.setCustomBases(this.customBases);
 
     // Register Standard Library
     registerStdLib(this.variableManager);
+    this.registerCalculatorFunctions(this.variableManager);
+    this.builtinFunctions = new Set(this.variableManager.getFunctions().keys()); // Safe to preview
 
     this.currentVisualization = null; // Current visualization instance
     this.lastResult = null; // Store last result for visualization
 
-    this.initializeElements();
-    this.setupEventListeners();
-    this.displayWelcome();
+    this.sessionStore = new SessionStore(); // Named sessions saved in browser storage
+    this.sessionName = this.sessionStore.getCurrentName(); // Session being saved to
+    this.scratchSession = false; // Whether a shared link is shown in a session that is not saved
+    this.loadedModules = []; // LOAD arguments, replayed when a session is restored
+    this.moduleSandboxes = new Map(); // Sandboxes running the loaded JS modules, by LOAD argument
+    this.runningScript = false; // Whether a loading .rat script is applying its commands
+    this.resultCount = 0; // Number of the last result, available as _n / out[n]
+
+    this.timeLimit = 30; // Seconds an evaluation may run before it is stopped (0 = no limit)
+    this.evaluator = null; // Web Worker that evaluates expressions off the main thread
+    this.evaluation = null; // Evaluation currently running in the worker
+    this.evaluationQueue = []; // Inputs waiting for a running evaluation or LOAD: { input, line }
+    this.loadingModule = false; // Whether a LOAD is in progress (queued block lines wait for it)
+    this.evaluationCount = 0; // Matches worker replies to the evaluation they belong to
+    this.completion = null; // Tab completion being cycled through
+    this.previewTimer = null; // Debounce timer for the live preview
+    this.previewCount = 0; // Matches preview replies to the input they were made for
+    this.sideEvaluator = null; // Second worker for previews and panels, which never wait for an evaluation
+    this.sideEvaluatorFailed = false; // Whether it could not run, so its commands run on the page
+    this.sideCommands = []; // Commands waiting for the side worker: { command, timeLimit, resolve, reject }
+    this.sideCommand = null; // Command the side worker is running, with its id and timer
+    this.formatMenu = null; // Open per-output format menu, if any
+
     this.initializeElements();
     this.setupEventListeners();
     this.displayWelcome();
 
-    // Auto-load modules from URL query string ?load=url1,url2
-    this.loadModulesFromUrl();
+    // Restore the saved session (history, variables, settings) from the last visit; a shared
+    // link is replayed in a scratch session instead, so the saved one is left as it was
+    this.scratchSession = this.getPermalinkLines().length > 0;
+    if (!this.scratchSession) this.restoreSession();
+
+    // Auto-load modules from URL query string ?load=url1,url2, then replay a shared permalink
+    this.loadModulesFromUrl().then(() => this.replayPermalink());
   }
 
   initializeElements() {
     this.inputElement = document.getElementById("calculatorInput");
+    this.inputHint = document.getElementById("inputHint");
+    this.inputPreview = document.getElementById("inputPreview");
     this.outputHistoryElement = document.getElementById("outputHistory");
     this.helpModal = document.getElementById("helpModal");
     this.copyButton = document.getElementById("copyButton");
@@ -73,11 +161,22 @@ class WebCalculator {
     this.exportHTMLBtn = document.getElementById("exportHTMLBtn");
     this.saveComputationBtn = document.getElementById("saveComputationBtn");
     this.stepSizeInput = document.getElementById("stepSizeInput");
+
+    // Evaluation status elements
+    this.evaluationStatus = document.getElementById("evaluationStatus");
+    this.evaluationProgress = document.getElementById("evaluationProgress");
+    this.stopButton = document.getElementById("stopButton");
   }
 
   setupEventListeners() {
     // Input handling
     this.inputElement.addEventListener("keydown", (e) => this.handleKeyDown(e));
+    this.inputElement.addEventListener("input", () => {
+      this.resizeInput();
+      this.updateSignatureHint();
+      this.schedulePreview();
+    });
+    this.inputElement.addEventListener("blur", () => this.hideInputHint());
 
     // Button handlers
     this.copyButton.addEventListener("click", () => this.copySession());
@@ -108,9 +207,23 @@ class WebCalculator {
     this.stepSizeInput.addEventListener("input", () => this.updateVisualizationStepSize());
     this.stepSizeInput.addEventListener("keydown", (e) => this.handleStepSizeKeydown(e));
 
+    // Stop a long-running evaluation
+    this.stopButton.addEventListener("click", () => this.stopEvaluation());
+
+    // Close the per-output format menu when clicking elsewhere
+    document.addEventListener("click", (e) => {
+      if (this.formatMenu && !this.formatMenu.contains(e.target)) {
+        this.hideFormatMenu();
+      }
+    });
+
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => {
       if (e.key === "Escape") {
+        this.hideFormatMenu();
+        if (this.evaluation) {
+          this.stopEvaluation();
+        }
         this.hideHelp();
         this.hideVisualization();
       } else if (this.visualizationModal.style.display === "block") {
@@ -133,6 +246,8 @@ class WebCalculator {
       this.inputElement.setAttribute("spellcheck", "false");
       this.setupMobileKeypad();
     }
+
+    this.initializeEvaluator();
   }
 
   isMobile() {
@@ -140,21 +255,196 @@ class WebCalculator {
   }
 
   handleKeyDown(e) {
+    if (e.key !== "Tab" && e.key !== "Shift") {
+      this.completion = null;
+    }
+
     switch (e.key) {
       case "Enter":
+        // Shift+Enter inserts a newline; Enter runs the whole input
+        if (e.shiftKey) break;
+        e.preventDefault();
+        this.hideInputHint();
+        this.hidePreview();
         this.processInput();
         break;
+      case "Tab":
+        e.preventDefault();
+        this.completeInput(e.shiftKey ? -1 : 1);
+        break;
       case "ArrowUp":
+        // Within a multi-line input the arrows move between lines
+        if (this.inputElement.value.slice(0, this.inputElement.selectionStart).includes("\n")) break;
         e.preventDefault();
         this.navigateHistory(-1);
         break;
       case "ArrowDown":
+        if (this.inputElement.value.slice(this.inputElement.selectionEnd).includes("\n")) break;
         e.preventDefault();
         this.navigateHistory(1);
         break;
     }
   }
 
+  completeInput(direction = 1) {
+    const input = this.inputElement;
+
+    if (!this.completion) {
+      const cursor = input.selectionStart ?? input.value.length;
+      const { start, word } = findWordAt(input.value, cursor);
+      const vm = this.variableManager;
+      const matches = getCompletions(
+        word,
+        { variables: [...vm.variables.keys()], functions: [...vm.functions.keys()], commands: COMMANDS },
+        input.value.slice(input.value.lastIndexOf("\n", start - 1) + 1, start).trim() === "",
+      );
+      if (matches.length === 0) return;
+      this.completion = { start, matches, index: -1, rest: input.value.slice(cursor) };
+    }
+
+    // Repeated Tab (Shift+Tab backwards) cycles through the candidates
+    const completion = this.completion;
+    const count = completion.matches.length;
+    completion.index = (completion.index + direction + count) % count;
+    const { text } = completion.matches[completion.index];
+    const before = input.value.slice(0, completion.start);
+    input.value = before + text + completion.rest;
+    const cursor = before.length + text.length;
+    input.setSelectionRange(cursor, cursor);
+
+    if (count === 1) {
+      this.completion = null;
+      this.updateSignatureHint();
+    } else {
+      const names = completion.matches.map(({ name }, i) =>
+        i === completion.index ? `[${name}]` : name,
+      );
+      this.showInputHint(names.join("  "));
+    }
+  }
+
+  updateSignatureHint() {
+    const input = this.inputElement;
+    const cursor = input.selectionStart ?? input.value.length;
+    const name = findCallAt(input.value, cursor);
+    const normalized = name && !name.startsWith("@@") ? name.replace(/^@/, "") : name;
+    if (normalized && this.variableManager.functions.has(normalized)) {
+      this.showInputHint(this.variableManager.getHelp(normalized));
+    } else {
+      this.hideInputHint();
+    }
+  }
+
+  showInputHint(text) {
+    if (!this.inputHint) return;
+    this.inputHint.textContent = text;
+    this.inputHint.style.display = "block";
+  }
+
+  hideInputHint() {
+    if (!this.inputHint) return;
+    this.inputHint.style.display = "none";
+  }
+
+  schedulePreview() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.updatePreview(), PREVIEW_DELAY);
+  }
+
+  updatePreview() {
+    if (!this.inputPreview) return;
+    // Previews only run in the side worker, where one that takes too long is simply dropped
+    if (!this.startSideEvaluator()) {
+      this.hidePreview();
+      return;
+    }
+    const request = ++this.previewCount;
+    // Previews still waiting for the side worker are for older input
+    this.sideCommands = this.sideCommands.filter(({ command, resolve }) => {
+      if (command.name === "PREVIEW") resolve(null);
+      return command.name !== "PREVIEW";
+    });
+    this.runSideCommand({ name: "PREVIEW", args: this.inputElement.value }, PREVIEW_TIME_LIMIT).then(
+      (preview) => {
+        if (request === this.previewCount) this.showPreview(preview);
+      },
+      () => {
+        if (request === this.previewCount) this.hidePreview();
+      },
+    );
+  }
+
+  showPreview(preview) {
+    if (!preview) {
+      this.hidePreview();
+      return;
+    }
+    this.inputPreview.textContent = preview.text;
+    this.inputPreview.classList.toggle("preview-error", preview.isError);
+    this.inputPreview.style.display = "block";
+  }
+
+  hidePreview() {
+    clearTimeout(this.previewTimer);
+    // A reply still on its way is for input that is gone
+    this.previewCount++;
+    if (!this.inputPreview) return;
+    this.inputPreview.style.display = "none";
+  }
+
+  getPreview(text) {
+    // Evaluates without recording anything: no history, no output and no assignment
+    const input = text.trim();
+    if (!input || input.includes("\n") || this.isCommandInput(input) || input.includes("->") || PREVIEW_SKIP_PATTERN.test(input)) {
+      return null;
+    }
+
+    // For an assignment, preview the value that would be assigned
+    const assignment = input.match(/^@?[_a-zA-Z][a-zA-Z0-9_]*\s*=(?!=)\s*(.+)$/);
+    let expression = assignment ? assignment[1] : input;
+    if (/^@?[_a-zA-Z][a-zA-Z0-9_]*$/.test(expression) && this.variableManager.functions.has(expression.replace(/^@/, ""))) {
+      return null;
+    }
+    if (this.callsUserFunction(expression)) {
+      return null;
+    }
+
+    try {
+      expression = this.expandInput(expression);
+      const evaluated = this.variableManager.evaluateExpression(expression);
+      if (evaluated.type === "error") {
+        return { text: evaluated.message, isError: true };
+      }
+      return { text: `= ${this.formatPreview(evaluated.result)}`, isError: false };
+    } catch (error) {
+      return { text: `Error: ${error.message}`, isError: true };
+    }
+  }
+
+  callsUserFunction(expression) {
+    // User functions are left to evaluations, and module functions need the page to answer their calls
+    const { functions } = this.variableManager;
+    return [...expression.matchAll(/@?([_a-zA-Z][a-zA-Z0-9_@]*)\s*\(/g)].some(
+      ([, name]) => functions.has(name) && !this.builtinFunctions.has(name),
+    );
+  }
+
+  isCommandInput(input) {
+    if (/^\[\d+\]\s*=/.test(input)) return true;
+    const [firstWord, ...rest] = input.split(/\s+/);
+    // "HEX 1F" and friends are expressions evaluated in a temporary base
+    if (/^(?:HEX|BIN|OCT|DEC)$/i.test(firstWord) && rest.length > 0) return false;
+    return COMMANDS.includes(firstWord.toUpperCase());
+  }
+
+  formatPreview(result) {
+    const parts = result instanceof RationalInterval ? [result.low, result.high] : [result];
+    const large = parts.some(
+      (part) => part instanceof Rational && part.denominator >= PREVIEW_MAX_DENOMINATOR,
+    );
+    return large ? result.toString() : this.formatResult(result);
+  }
+
   navigateHistory(direction) {
     if (this.history.length === 0) return;
 
@@ -178,6 +468,8 @@ class WebCalculator {
     }
 
     this.inputElement.value = this.history[this.historyIndex];
+    this.resizeInput();
+    this.schedulePreview();
     // Move cursor to end
     setTimeout(() => {
       this.inputElement.setSelectionRange(
@@ -204,21 +496,53 @@ class WebCalculator {
       this.inputElement.focus();
       return;
     }
-    this.processExpression(input);
+    if (input.includes("\n")) {
+      this.runBlock(input);
+      this.inputElement.value = "";
+    } else {
+      this.processExpression(input);
+    }
+    this.resizeInput();
+  }
+
+  runBlock(text) {
+    const lines = text.split("\n");
+    const block = { lineCount: lines.length, stopped: false };
+    lines.forEach((line, index) => {
+      const input = line.trim();
+      // Blank lines and # comments are skipped, as in .rat scripts
+      if (input && !input.startsWith("#")) {
+        this.evaluationQueue.push({ input, line: { block, number: index + 1 } });
+      }
+    });
+    this.runQueuedInputs();
+  }
+
+  resizeInput() {
+    const lineCount = this.inputElement.value.split("\n").length;
+    this.inputElement.rows = Math.min(lineCount, MAX_INPUT_ROWS);
   }
 
-  processExpression(input) {
+  processExpression(input, line = null) {
+    // Inputs entered during a running evaluation or LOAD wait for it so results stay in order
+    if ((this.evaluation || this.loadingModule) && !this.runningScript) {
+      this.evaluationQueue.push({ input, line });
+      this.inputElement.value = "";
+      this.updateEvaluationStatus();
+      return;
+    }
+
     // Add to history
     if (
-      this.history.length === 0 ||
-      this.history[this.history.length - 1] !== input
+      !this.runningScript &&
+      (this.history.length === 0 || this.history[this.history.length - 1] !== input)
     ) {
       this.history.push(input);
     }
     this.historyIndex = -1;
 
-    // Start tracking this entry for copying
-    this.currentEntry = { input: input, output: "", isError: false };
+    // Start tracking this entry for copying (line: position within a multi-line block)
+    this.currentEntry = { input: input, output: "", isError: false, line };
 
     // Display input
     this.addToOutput(input, null, false);
@@ -278,13 +602,23 @@ class WebCalculator {
 
     if (upperInput.startsWith("LOAD ")) {
       const url = input.substring(5).trim();
+      const entry = this.currentEntry;
       this.addToOutput(input, `Loading module from ${url}...`, false);
+      this.loadingModule = true;
       this.handleLoadCommand(url).then(msg => {
+        this.loadedModules.push(url);
+        this.currentEntry = entry;
         this.addToOutput("", msg, false);
         this.finishEntry(msg);
       }).catch(err => {
+        this.currentEntry = entry;
         this.addToOutput("", `Error loading module: ${err.message}`, true);
+        entry.isError = true;
         this.finishEntry(`Error: ${err.message}`);
+      }).finally(() => {
+        // Block lines after a LOAD can use what it loaded
+        this.loadingModule = false;
+        this.runQueuedInputs();
       });
       this.inputElement.value = "";
       return;
@@ -304,6 +638,43 @@ class WebCalculator {
       return;
     }
 
+    if (upperInput === "SHARE" || upperInput.startsWith("SHARE ")) {
+      this.handleShareCommand(input.substring(5).trim());
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "CONVERT" || upperInput.startsWith("CONVERT ")) {
+      this.handleConvertCommand(input.substring(7).trim());
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "PERIOD" || upperInput.startsWith("PERIOD ")) {
+      this.handlePeriodCommand(input.substring(6).trim());
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "INFO" || upperInput.startsWith("INFO ")) {
+      this.handleInfoCommand(input.substring(4).trim());
+      this.inputElement.value = "";
+      return;
+    }
+
+    const exportMatch = input.match(/^(?:SAVE|EXPORT)(?:\s+([\w.-]+))?$/i);
+    if (exportMatch) {
+      this.exportSession(exportMatch[1]);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "SESSIONS" || upperInput.startsWith("SESSIONS ")) {
+      this.handleSessionsCommand(input.substring(8).trim());
+      this.inputElement.value = "";
+      return;
+    }
+
     if (upperInput === "DECI") {
       this.outputMode = "DECI";
       const output = "Output mode set to decimal";
@@ -340,6 +711,52 @@ class WebCalculator {
       return;
     }
 
+    if (upperInput === "ENG") {
+      this.outputMode = "ENG";
+      const output = `Output mode set to engineering notation${this.siPrefixes ? " with SI prefixes" : ""}`;
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "EGYPT" || upperInput.startsWith("EGYPT ")) {
+      const method = upperInput.substring(5).trim().toLowerCase();
+      let output;
+      if (method && !EGYPT_METHODS.includes(method)) {
+        output = `Error: Unknown Egyptian fraction method '${method}' (use ${EGYPT_METHODS.join(", ")})`;
+        this.addToOutput("", output, true);
+        this.currentEntry.isError = true;
+      } else {
+        this.outputMode = "EGYPT";
+        this.egyptMethod = method || this.egyptMethod;
+        output = `Output mode set to Egyptian fractions (${this.egyptMethod})`;
+        this.addToOutput("", output, false);
+      }
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "FACT" || upperInput.startsWith("FACT ")) {
+      const effortStr = upperInput.substring(4).trim();
+      const effort = Number(effortStr);
+      let output;
+      if (effortStr && (!Number.isInteger(effort) || effort < 0)) {
+        output = "Error: FACT effort must be a non-negative whole number of iterations";
+        this.addToOutput("", output, true);
+        this.currentEntry.isError = true;
+      } else {
+        this.outputMode = "FACT";
+        if (effortStr) this.factorEffort = effort;
+        output = `Output mode set to prime factorization (effort ${this.factorEffort})`;
+        this.addToOutput("", output, false);
+      }
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
     if (upperInput === "CF") {
       this.outputMode = "CF";
       const output = "Output mode set to continued fraction";
@@ -349,8 +766,35 @@ class WebCalculator {
       return;
     }
 
-    if (upperInput === "MIX") {
-      this.mixedDisplay = !this.mixedDisplay;
+    if (upperInput === "DIGITS") {
+      this.outputMode = "DIGITS";
+      const output = "Output mode set to guaranteed digits (intervals)";
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "UNCERT") {
+      this.outputMode = "UNCERT";
+      const output = "Output mode set to concise uncertainty (intervals)";
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "PM") {
+      this.outputMode = "PM";
+      const output = "Output mode set to midpoint ± radius (intervals)";
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "MIX" || upperInput === "MIX ON" || upperInput === "MIX OFF") {
+      this.mixedDisplay = upperInput === "MIX" ? !this.mixedDisplay : upperInput === "MIX ON";
       const output = `Mixed number display ${this.mixedDisplay ? "enabled" : "disabled"}`;
       this.addToOutput("", output, false);
       this.finishEntry(output);
@@ -404,8 +848,8 @@ class WebCalculator {
       return;
     }
 
-    if (upperInput === "SCIPERIOD") {
-      this.showPeriodInfo = !this.showPeriodInfo;
+    if (upperInput === "SCIPERIOD" || upperInput === "SCIPERIOD ON" || upperInput === "SCIPERIOD OFF") {
+      this.showPeriodInfo = upperInput === "SCIPERIOD" ? !this.showPeriodInfo : upperInput === "SCIPERIOD ON";
       const output = `Period info in scientific notation ${this.showPeriodInfo ? "enabled" : "disabled"}`;
       this.addToOutput("", output, false);
       this.finishEntry(output);
@@ -413,6 +857,57 @@ class WebCalculator {
       return;
     }
 
+    if (upperInput === "SIPREFIX" || upperInput === "SIPREFIX ON" || upperInput === "SIPREFIX OFF") {
+      this.siPrefixes = upperInput === "SIPREFIX" ? !this.siPrefixes : upperInput === "SIPREFIX ON";
+      const output = `SI prefixes in engineering notation ${this.siPrefixes ? "enabled" : "disabled"}`;
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "GROUP" || upperInput.startsWith("GROUP ")) {
+      this.handleGroupCommand(input.trim().substring(5).trim());
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "TIMEOUT" || upperInput.startsWith("TIMEOUT ")) {
+      const limitStr = upperInput.substring(7).trim();
+      let output;
+      if (limitStr === "") {
+        output = this.timeLimit > 0
+          ? `Current evaluation time limit: ${this.timeLimit} seconds`
+          : "No evaluation time limit is set";
+        this.addToOutput("", output, false);
+      } else {
+        const limit = limitStr === "OFF" ? 0 : Number(limitStr);
+        if (!Number.isFinite(limit) || limit < 0) {
+          output = "Error: TIMEOUT must be a number of seconds or OFF";
+          this.addToOutput("", output, true);
+          this.currentEntry.isError = true;
+        } else {
+          this.timeLimit = limit;
+          output = limit > 0
+            ? `Evaluation time limit set to ${limit} seconds`
+            : "Evaluation time limit disabled";
+          this.addToOutput("", output, false);
+        }
+      }
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
+    if (upperInput === "TYPESET" || upperInput === "TYPESET ON" || upperInput === "TYPESET OFF") {
+      this.typesetDisplay = upperInput === "TYPESET" ? !this.typesetDisplay : upperInput === "TYPESET ON";
+      const output = `Typeset display ${this.typesetDisplay ? "enabled" : "disabled"}`;
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      this.inputElement.value = "";
+      return;
+    }
+
     // Handle BASE commands (but not BASES)
     if (upperInput.startsWith("BASE") && !upperInput.startsWith("BASES")) {
       this.handleBaseCommand(input);
@@ -465,6 +960,12 @@ class WebCalculator {
       return;
     }
 
+    if (upperInput === "RADIX" || upperInput.startsWith("RADIX ")) {
+      this.handleRadixCommand(input.trim().substring(5).trim());
+      this.inputElement.value = "";
+      return;
+    }
+
     if (upperInput.startsWith("BASES")) {
       const args = input.trim().substring(5).trim();
       if (args) {
@@ -476,9 +977,47 @@ class WebCalculator {
       return;
     }
 
-    // Try to process with variable manager first
+    // Evaluate with the variable manager (in the worker when available)
+    try {
+      this.evaluateInput(this.expandInput(input));
+    } catch (error) {
+      const output = `Error: ${error.message}`;
+      this.addToOutput("", output, true);
+      this.currentEntry.isError = true;
+      this.finishEntry(output);
+    }
+
+    this.inputElement.value = "";
+
+    // Ensure input stays focused (except on mobile)
+    if (!this.isMobile()) {
+      setTimeout(() => this.inputElement.focus(), 50);
+    }
+  }
+
+  evaluateInput(input) {
+    if (this.evaluator) {
+      this.startWorkerEvaluation(input);
+      return;
+    }
+
+    // No worker available: evaluate here, still stopping loops at the time limit
+    const started = Date.now();
+    let timedOut = false;
+    this.variableManager.setProgressCallback(() => {
+      timedOut = this.timeLimit > 0 && Date.now() - started > this.timeLimit * 1000;
+      return !timedOut;
+    });
     const varResult = this.variableManager.processInput(input);
+    this.variableManager.setProgressCallback(null);
 
+    if (timedOut && varResult.type === "error") {
+      varResult.message += this.timeLimitNote();
+    }
+    this.showEvaluationResult(input, varResult, () => this.formatResult(varResult.result));
+  }
+
+  showEvaluationResult(input, varResult, format) {
     if (varResult.type === "error") {
       this.addToOutput("", varResult.message, true);
       this.currentEntry.isError = true;
@@ -495,8 +1034,12 @@ class WebCalculator {
       try {
         this.lastResult = varResult.result; // Store for visualization
         this.lastExpression = input; // Store the expression for visualization
-        const output = this.formatResult(varResult.result);
-        this.addToOutput("", output, false, varResult.result, input);
+        const output = format();
+        const resultNumber = this.recordResult(varResult.result);
+        this.addToOutput("", output, false, varResult.result, input, resultNumber);
+        if (resultNumber) {
+          this.currentEntry.resultNumber = resultNumber;
+        }
         this.finishEntry(output);
       } catch (error) {
         let errorMessage;
@@ -522,45 +1065,368 @@ class WebCalculator {
         this.finishEntry(errorMessage);
       }
     }
+  }
 
-    this.inputElement.value = "";
+  expandResultReferences(input) {
+    // out[n] is not valid expression syntax, so it becomes the _n variable holding that result
+    return input.replace(/\bout\[\s*(\d+)\s*\]/g, (match, n) => {
+      const number = parseInt(n);
+      if (number < 1 || number > this.resultCount) {
+        throw new Error(`${match} does not exist (results so far: ${this.resultCount})`);
+      }
+      return `_${number}`;
+    });
+  }
 
-    // Ensure input stays focused (except on mobile)
-    if (!this.isMobile()) {
-      setTimeout(() => this.inputElement.focus(), 50);
-    }
+  expandInput(input) {
+    const expanded = this.expandResultReferences(input);
+    // 1.2345(6) is decimal notation; in other input bases the digits mean something else
+    return this.inputBase.base === 10 ? expandConciseUncertainty(expanded) : expanded;
   }
 
-  finishEntry(output) {
-    if (this.currentEntry) {
-      this.currentEntry.output = output;
-      this.outputHistory.push(this.currentEntry);
-      this.currentEntry = null;
-    }
+  inlineResultReferences(expression, ansNumber = this.resultCount) {
+    // Previous results are not part of a shared script, so their exact values are written in;
+    // ans is the result numbered ansNumber (the latest unless an older input is being shared)
+    const variables = this.variableManager.getVariables();
+    return this.expandResultReferences(expression).replace(/\b(?:ans|_\d+)\b/g, (name) => {
+      const key = name === "ans" ? `_${ansNumber}` : name;
+      return variables.has(key) ? `(${this.variableManager.formatValueWithPrefix(variables.get(key))})` : name;
+    });
   }
 
-  formatResult(result) {
-    if (result && result.type === "string") {
-      // Return string value directly - newlines will be preserved in display
-      return result.value;
-    } else if (result && result.type === "sequence") {
-      return this.variableManager.formatValue(result);
-    } else if (result instanceof RationalInterval) {
-      return this.formatInterval(result);
-    } else if (result instanceof Rational) {
-      return this.formatRational(result);
-    } else if (result instanceof Integer) {
-      return this.formatInteger(result);
-    } else {
-      return result.toString();
+  recordResult(result) {
+    // Keep the exact value so later references lose nothing to display formatting
+    const value = result && result.type === "sequence" ? result.lastValue : result;
+    if (!(value instanceof Rational || value instanceof Integer || value instanceof RationalInterval)) {
+      return null;
     }
+    this.resultCount++;
+    this.variableManager.variables.set(`_${this.resultCount}`, value);
+    this.variableManager.variables.set("ans", value);
+    return this.resultCount;
   }
 
-  formatInteger(integer) {
-    const decimal = integer.value.toString();
-    const rat = new Rational(integer.value, 1n);
-    const baseRepresentation = this.formatRationalBaseRepresentations(rat);
-    return `${decimal}${baseRepresentation}`;
+  timeLimitNote() {
+    return ` (time limit of ${this.timeLimit}s reached; change it with TIMEOUT)`;
+  }
+
+  initializeEvaluator() {
+    if (this.evaluator || typeof window === "undefined" || !window.Worker) return;
+
+    let worker;
+    try {
+      worker = new Worker(new URL("./eval-worker.js", import.meta.url), { type: "module" });
+    } catch (error) {
+      console.warn("Evaluation worker unavailable, evaluating on the main thread:", error);
+      return;
+    }
+
+    worker.onmessage = (e) => this.handleEvaluatorMessage(e.data);
+    worker.onerror = (e) => {
+      // The worker script failed to load or crashed: fall back to the main thread for good
+      console.error("Evaluation worker failed, evaluating on the main thread:", e.message || e);
+      worker.terminate();
+      if (this.evaluator !== worker) return;
+      this.evaluator = null;
+      const evaluation = this.evaluation;
+      if (evaluation) {
+        this.endEvaluation();
+        this.currentEntry = evaluation.entry;
+        if (evaluation.command) {
+          this.runOutputCommand(evaluation.command);
+        } else {
+          this.evaluateInput(evaluation.input);
+        }
+        this.runQueuedInputs();
+      }
+    };
+    this.evaluator = worker;
+  }
+
+  startWorkerEvaluation(input, command = null) {
+    const evaluation = {
+      id: ++this.evaluationCount,
+      input,
+      command,
+      entry: this.currentEntry,
+      started: Date.now(),
+      progress: null,
+      ticker: setInterval(() => this.updateEvaluationStatus(), STATUS_INTERVAL),
+      // Loops stop themselves at the limit; anything else (e.g. a huge period) is terminated
+      timer: this.timeLimit > 0
+        ? setTimeout(() => this.stopEvaluation(true), this.timeLimit * 1000 + HARD_STOP_GRACE)
+        : null,
+    };
+    this.evaluation = evaluation;
+    this.evaluator.postMessage(this.evaluatorMessage(evaluation.id, input, command, this.timeLimit * 1000));
+  }
+
+  evaluatorMessage(id, input, command, timeLimit) {
+    // The worker rebuilds its calculator from the session state; history is not needed
+    const { history, outputHistory, ...state } = this.getSessionState();
+    return {
+      id,
+      input,
+      command,
+      state,
+      modules: [...this.moduleSandboxes].map(([url, sandbox]) => [url, sandbox.manifest]),
+      timeLimit,
+    };
+  }
+
+  handleEvaluatorMessage(data) {
+    const evaluation = this.evaluation;
+    // Ignore replies from an evaluation that has already been stopped
+    if (!evaluation || data.id !== evaluation.id) return;
+
+    if (data.type === "progress") {
+      evaluation.progress = data.progress;
+      this.updateEvaluationStatus();
+      return;
+    }
+
+    if (data.type === "moduleCall") {
+      // The worker waits while the module's sandbox runs the call
+      this.answerModuleCall(data.call);
+      return;
+    }
+
+    this.endEvaluation();
+    this.currentEntry = evaluation.entry;
+
+    if (evaluation.command) {
+      const error = data.varResult && data.varResult.message;
+      if (error) {
+        this.showCommandOutput(error + (data.timedOut ? this.timeLimitNote() : ""), true);
+      } else {
+        this.showCommandOutput(data.output, false);
+      }
+      this.runQueuedInputs();
+      return;
+    }
+
+    if (data.state) {
+      this.applyDefinitions(data.state);
+    }
+    const varResult = { ...data.varResult, result: deserializeValue(data.varResult.result) };
+    if (data.timedOut && varResult.type === "error") {
+      varResult.message += this.timeLimitNote();
+    }
+    this.showEvaluationResult(evaluation.input, varResult, () => {
+      if (data.formatError) throw new Error(data.formatError);
+      return data.output;
+    });
+
+    this.runQueuedInputs();
+  }
+
+  stopEvaluation(timedOut = false) {
+    const evaluation = this.evaluation;
+    if (!evaluation) return;
+    this.endEvaluation();
+
+    // A busy worker cannot receive messages, so it is replaced with a fresh one
+    this.evaluator.terminate();
+    this.evaluator = null;
+    this.initializeEvaluator();
+
+    const { progress } = evaluation;
+    let message;
+    if (progress) {
+      message = `${progress.keyword} computation interrupted at ${progress.variable}=${progress.i} (${progress.iterationCount} iterations completed, current value: ${progress.value ?? "none"})`;
+    } else {
+      message = timedOut ? "Error: Computation stopped" : "Error: Computation stopped by user";
+    }
+    if (timedOut) {
+      message += this.timeLimitNote();
+    }
+
+    this.currentEntry = evaluation.entry;
+    this.addToOutput("", message, true);
+    this.currentEntry.isError = true;
+    this.finishEntry(message);
+
+    this.runQueuedInputs();
+  }
+
+  endEvaluation() {
+    clearInterval(this.evaluation.ticker);
+    clearTimeout(this.evaluation.timer);
+    this.evaluation = null;
+    this.updateEvaluationStatus();
+  }
+
+  runQueuedInputs() {
+    while (!this.evaluation && !this.loadingModule && this.evaluationQueue.length > 0) {
+      const { input, line } = this.evaluationQueue.shift();
+      // Lines after a failed line of the same block are dropped
+      if (line && line.block.stopped) continue;
+      this.processExpression(input, line);
+    }
+  }
+
+  startSideEvaluator() {
+    if (this.sideEvaluator) return true;
+    if (this.sideEvaluatorFailed || typeof window === "undefined" || !window.Worker) return false;
+    try {
+      this.sideEvaluator = new Worker(new URL("./eval-worker.js", import.meta.url), { type: "module" });
+    } catch (error) {
+      this.sideEvaluatorFailed = true;
+      return false;
+    }
+    this.sideEvaluator.onmessage = (e) => this.handleSideMessage(e.data);
+    this.sideEvaluator.onerror = (e) => {
+      console.error("Side worker failed, computing panels on the main thread:", e.message || e);
+      this.sideEvaluatorFailed = true;
+      this.stopSideEvaluator("failed");
+    };
+    return true;
+  }
+
+  /**
+   * Compute a command's output in the side worker, away from evaluations and one command at a
+   * time; without workers it is computed on the page
+   * @param {{name: string, args}} command - Handled by commandOutput
+   * @param {number} timeLimit - Milliseconds it may run before the side worker is replaced (0 = no limit)
+   * @returns {Promise} Its output; rejected with its error
+   */
+  runSideCommand(command, timeLimit) {
+    if (!this.startSideEvaluator()) {
+      try {
+        return Promise.resolve(this.commandOutput(command));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    return new Promise((resolve, reject) => {
+      this.sideCommands.push({ command, timeLimit, resolve, reject });
+      this.runSideCommands();
+    });
+  }
+
+  runSideCommands() {
+    if (this.sideCommand || this.sideCommands.length === 0) return;
+    if (!this.startSideEvaluator()) {
+      // Previews are dropped rather than run on the page
+      for (const { command, resolve, reject } of this.sideCommands.splice(0)) {
+        if (command.name === "PREVIEW") resolve(null);
+        else this.runSideCommand(command).then(resolve, reject);
+      }
+      return;
+    }
+    const sideCommand = this.sideCommands.shift();
+    sideCommand.id = ++this.evaluationCount;
+    // Loops stop themselves at the limit; anything else (e.g. a huge power) is terminated
+    sideCommand.timer = sideCommand.timeLimit > 0
+      ? setTimeout(() => this.stopSideEvaluator(`did not finish within ${sideCommand.timeLimit / 1000} seconds`), sideCommand.timeLimit)
+      : null;
+    this.sideCommand = sideCommand;
+    this.sideEvaluator.postMessage(this.evaluatorMessage(sideCommand.id, null, sideCommand.command, sideCommand.timeLimit));
+  }
+
+  handleSideMessage(data) {
+    const sideCommand = this.sideCommand;
+    if (!sideCommand || data.id !== sideCommand.id || data.type !== "result") return;
+    clearTimeout(sideCommand.timer);
+    this.sideCommand = null;
+    if (data.varResult) {
+      sideCommand.reject(new Error(data.varResult.message));
+    } else {
+      sideCommand.resolve(data.output);
+    }
+    this.runSideCommands();
+  }
+
+  stopSideEvaluator(reason) {
+    // A busy worker cannot receive messages; the next command starts a fresh one
+    this.sideEvaluator.terminate();
+    this.sideEvaluator = null;
+    const sideCommand = this.sideCommand;
+    this.sideCommand = null;
+    if (sideCommand) {
+      clearTimeout(sideCommand.timer);
+      sideCommand.reject(new Error(`Error: ${sideCommand.command.name} ${reason}`));
+    }
+    this.runSideCommands();
+  }
+
+  updateEvaluationStatus() {
+    if (!this.evaluationStatus) return;
+
+    const evaluation = this.evaluation;
+    const elapsed = evaluation ? Date.now() - evaluation.started : 0;
+    // Quick evaluations finish before the status would only flicker
+    if (!evaluation || elapsed < STATUS_DELAY) {
+      this.evaluationStatus.style.display = "none";
+      return;
+    }
+
+    const { progress } = evaluation;
+    let text = progress
+      ? `${progress.keyword} ${progress.variable} = ${progress.i} of ${progress.end}`
+      : "Computing...";
+    text += ` (${(elapsed / 1000).toFixed(1)}s`;
+    if (this.timeLimit > 0) {
+      text += ` of ${this.timeLimit}s`;
+    }
+    text += ")";
+    if (this.evaluationQueue.length > 0) {
+      text += `, ${this.evaluationQueue.length} queued`;
+    }
+
+    this.evaluationProgress.textContent = text;
+    this.evaluationStatus.style.display = "flex";
+  }
+
+  finishEntry(output) {
+    // A script command's entry is left for runScriptCommand, and the session is saved after the LOAD
+    if (this.runningScript) {
+      if (this.currentEntry) this.currentEntry.output = output;
+      return;
+    }
+    if (this.currentEntry) {
+      const { line } = this.currentEntry;
+      if (line && this.currentEntry.isError && !line.block.stopped) {
+        line.block.stopped = true;
+        const message = `Stopped at line ${line.number} of ${line.block.lineCount}; the remaining lines were not run`;
+        this.addToOutput("", message, true);
+        output = `${output}\n${message}`;
+      }
+      this.currentEntry.output = output;
+      this.outputHistory.push(this.currentEntry);
+      this.currentEntry = null;
+    }
+    this.saveSession();
+  }
+
+  formatResult(result) {
+    if (result && result.type === "string") {
+      // Return string value directly - newlines will be preserved in display
+      return result.value;
+    } else if (result && result.type === "sequence") {
+      return this.variableManager.formatValue(result);
+    } else if (result instanceof RationalInterval) {
+      return this.formatInterval(result);
+    } else if (result instanceof Rational) {
+      return this.formatRational(result);
+    } else if (result instanceof Integer) {
+      return this.formatInteger(result);
+    } else {
+      return result.toString();
+    }
+  }
+
+  formatInteger(integer) {
+    const decimal = this.groupNumber(integer.value.toString());
+    const rat = new Rational(integer.value, 1n);
+    const baseRepresentation = this.formatRationalBaseRepresentations(rat);
+    if (this.outputMode === "FACT") {
+      return `${this.formatFactored(rat, decimal)}${baseRepresentation}`;
+    }
+    if (this.outputMode === "ENG") {
+      return `${this.formatEngineering(rat)} (${decimal})${baseRepresentation}`;
+    }
+    return `${decimal}${baseRepresentation}`;
   }
 
   formatRational(rational) {
@@ -598,10 +1464,20 @@ class WebCalculator {
           this.showPeriodInfo,
         );
         return `${scientificNotation} (${fraction})${baseRepresentation}`;
+      case "ENG":
+        return `${this.formatEngineering(rational)} (${fraction})${baseRepresentation}`;
+      case "FACT":
+        return `${this.formatFactored(rational, fraction)}${baseRepresentation}`;
+      case "EGYPT":
+        if (rational.denominator === 1n) return `${decimal}${baseRepresentation}`;
+        return `${this.formatEgyptian(rational)} (${fraction})${baseRepresentation}`;
       case "CF":
         const continuedFraction = rational.toContinuedFractionString();
         return `${continuedFraction} (${fraction})${baseRepresentation}`;
       case "BOTH":
+      case "PM":
+      case "DIGITS":
+      case "UNCERT":
         if (fraction.includes("/") || fraction.includes("..")) {
           return `${displayDecimal}${periodInfo} (${fraction})${baseRepresentation}`;
         } else {
@@ -617,11 +1493,21 @@ class WebCalculator {
 
     const baseReprs = [];
     for (const base of this.outputBases) {
-      if (base.base !== 10) {
+      if (base instanceof MixedRadixSystem) {
+        baseReprs.push(base.format(rational));
+      } else if (isNonstandardBase(base)) {
+        try {
+          const { text, period } = base.expand(rational);
+          const periodInfo = period === -1 ? " [period > 10^6]" : period > 0 ? ` {period: ${period}}` : "";
+          baseReprs.push(`${this.formatNonstandardExpansion(base, text)}${periodInfo}`);
+        } catch (error) {
+          // Bijective bases have no expansion for values just above zero, Zeckendorf none for fractions
+        }
+      } else if (base.base !== 10) {
         try {
           const { baseStr, period: basePeriod } =
             rational.toRepeatingBaseWithPeriod(base);
-          const formattedBaseStr = this.formatRepeatingExpansion(baseStr);
+          const formattedBaseStr = this.formatRepeatingExpansion(baseStr, base.base);
           const basePeriodInfo =
             basePeriod === -1
               ? " [period > 10^6]"
@@ -652,15 +1538,25 @@ class WebCalculator {
 
     const baseReprs = [];
     for (const base of this.outputBases) {
-      if (base.base !== 10) {
+      if (base instanceof MixedRadixSystem) {
+        baseReprs.push(`${base.format(interval.low)} : ${base.format(interval.high)}`);
+      } else if (isNonstandardBase(base)) {
+        try {
+          const low = this.formatNonstandardExpansion(base, base.expand(interval.low).text);
+          const high = this.formatNonstandardExpansion(base, base.expand(interval.high).text);
+          baseReprs.push(`${low}:${high}`);
+        } catch (error) {
+          // Ignore conversion errors
+        }
+      } else if (base.base !== 10) {
         try {
           const { baseStr: lowStr } =
             interval.low.toRepeatingBaseWithPeriod(base);
           const { baseStr: highStr } =
             interval.high.toRepeatingBaseWithPeriod(base);
 
-          const lowFormatted = this.formatRepeatingExpansion(lowStr);
-          const highFormatted = this.formatRepeatingExpansion(highStr);
+          const lowFormatted = this.formatRepeatingExpansion(lowStr, base.base);
+          const highFormatted = this.formatRepeatingExpansion(highStr, base.base);
 
           const prefix = BaseSystem.getPrefixForSystem(base);
           const lowOutput = prefix
@@ -683,6 +1579,12 @@ class WebCalculator {
     return "";
   }
 
+  formatNonstandardExpansion(base, text) {
+    // Factoradic and Zeckendorf digits are not grouped: their places have no common radix
+    const formatted = base.radix ? this.formatRepeatingExpansion(text, Number(base.radix)) : this.truncateExpansion(text);
+    return `${formatted}[${base.spec}]`;
+  }
+
   formatDecimal(rational) {
     const decimal = rational.toDecimal();
     if (decimal.length > this.decimalLimit + 2) {
@@ -691,13 +1593,33 @@ class WebCalculator {
         dotIndex !== -1 &&
         decimal.length - dotIndex - 1 > this.decimalLimit
       ) {
-        return decimal.substring(0, dotIndex + this.decimalLimit + 1) + "...";
+        return this.groupNumber(decimal.substring(0, dotIndex + this.decimalLimit + 1) + "...");
       }
     }
-    return decimal;
+    return this.groupNumber(decimal);
+  }
+
+  formatRepeatingExpansion(expansion, base = 10) {
+    return this.groupNumber(this.truncateExpansion(expansion), base);
   }
 
-  formatRepeatingExpansion(expansion) {
+  groupNumber(text, base = 10) {
+    if (!this.digitGrouping && this.decimalSeparator === ".") return text;
+    return groupDigits(text, {
+      separator: this.digitGrouping ? this.groupSeparator : "",
+      size: this.groupSize || defaultGroupSize(base),
+      decimalSeparator: this.decimalSeparator,
+    });
+  }
+
+  ungroupOutput(output) {
+    return ungroupDigits(output, {
+      separator: this.digitGrouping ? this.groupSeparator : "",
+      decimalSeparator: this.decimalSeparator,
+    });
+  }
+
+  truncateExpansion(expansion) {
     // If no repeating part (#), return as is or truncate if too long
     if (!expansion.includes("#")) {
       if (expansion.length > this.decimalLimit + 2) {
@@ -758,6 +1680,13 @@ class WebCalculator {
   }
 
   formatInterval(interval) {
+    // Decided before the full expansions, which can be very long for narrow intervals
+    if (this.outputMode === "DIGITS" || this.outputMode === "UNCERT") {
+      const digits =
+        this.outputMode === "DIGITS" ? formatGuaranteedDigits(interval) : formatConciseUncertainty(interval);
+      if (digits) return `${digits}${this.formatIntervalBaseRepresentations(interval)}`;
+    }
+
     const lowRepeatingInfo = interval.low.toRepeatingDecimalWithPeriod();
     const highRepeatingInfo = interval.high.toRepeatingDecimalWithPeriod();
     const lowRepeating = lowRepeatingInfo.decimal;
@@ -786,6 +1715,10 @@ class WebCalculator {
       case "RAT":
         return `${lowFraction}:${highFraction}${baseRepresentation}`;
       case "BOTH":
+      case "DIGITS":
+      case "UNCERT":
+      case "EGYPT":
+      case "FACT":
         const decimalRange = `${lowDisplay}:${highDisplay}${periodInfo}`;
         const rationalRange = `${lowFraction}:${highFraction}`;
         if (decimalRange !== rationalRange) {
@@ -793,26 +1726,237 @@ class WebCalculator {
         } else {
           return `${decimalRange}${baseRepresentation}`;
         }
+      case "SCI": {
+        const lowSci = interval.low.toScientificNotation(true, this.sciPrecision, this.showPeriodInfo);
+        const highSci = interval.high.toScientificNotation(true, this.sciPrecision, this.showPeriodInfo);
+        return `${lowSci}:${highSci} (${lowFraction}:${highFraction})${baseRepresentation}`;
+      }
+      case "ENG":
+        return `${this.formatEngineering(interval.low)}:${this.formatEngineering(interval.high)} (${lowFraction}:${highFraction})${baseRepresentation}`;
+      case "CF": {
+        const lowCF = interval.low.toContinuedFractionString();
+        const highCF = interval.high.toContinuedFractionString();
+        return `${lowCF}:${highCF} (${lowFraction}:${highFraction})${baseRepresentation}`;
+      }
+      case "PM":
+        return `${this.formatMidpointRadius(interval)}${baseRepresentation}`;
       default:
         return `${lowFraction}:${highFraction}${baseRepresentation}`;
     }
   }
 
+  formatEngineering(rational) {
+    return formatEngineering(rational, {
+      precision: this.sciPrecision,
+      prefixes: this.siPrefixes,
+      showPeriodInfo: this.showPeriodInfo,
+    });
+  }
+
+  formatFactored(rational, plain) {
+    const { text, complete } = formatFactorization(rational.numerator, rational.denominator, this.factorEffort);
+    const note = complete ? "" : " {bracketed cofactors not factored}";
+    return text === plain ? plain : `${text} (${plain})${note}`;
+  }
+
+  formatEgyptian(rational) {
+    const negative = rational.numerator < 0n;
+    const magnitude = negative ? rational.negate() : rational;
+    let sum;
+    try {
+      sum = formatEgyptianSum(egyptianFractions(magnitude, this.egyptMethod));
+    } catch (error) {
+      // The shortest search can give up; the greedy expansion always exists
+      sum = `${formatEgyptianSum(egyptianFractions(magnitude, "greedy"))} [greedy: ${error.message}]`;
+    }
+    return negative ? `-(${sum})` : sum;
+  }
+
+  registerCalculatorFunctions(variableManager) {
+    variableManager.registerJSFunction(
+      "Egypt",
+      (x, method, limit) => {
+        const value = x instanceof Integer ? new Rational(x.value) : x;
+        if (!(value instanceof Rational)) {
+          throw new Error("Egypt needs a rational number");
+        }
+        const name = method === undefined ? "greedy" : String(method.value ?? method).toLowerCase();
+        const options = {};
+        if (limit !== undefined) {
+          const bound =
+            limit instanceof Integer ? limit.value
+              : limit instanceof Rational && limit.denominator === 1n ? limit.numerator
+                : null;
+          if (bound === null || bound < 2n) {
+            throw new Error("The size limit must be an integer of at least 2");
+          }
+          options.maxDenominator = bound;
+        }
+
+        const { whole, denominators } = egyptianFractions(value, name, options);
+        const values = denominators.map((d) => new Rational(1n, d));
+        if (whole > 0n) values.unshift(new Integer(whole));
+        return { type: "sequence", values, lastValue: values[values.length - 1] };
+      },
+      ["x", "method?", "limit?"],
+      "Egyptian fraction: distinct unit fractions (after the whole part) summing to x.\n" +
+        'method is "greedy" (default), "binary" (binary remainder) or "shortest" (fewest terms, smallest denominators);\n' +
+        "limit caps the denominators the shortest search tries (default 10^6).",
+    );
+  }
+
+  formatMidpointRadius(interval) {
+    const midpoint = interval.low.add(interval.high).divide(new Rational(2));
+    const radius = interval.high.subtract(interval.low).divide(new Rational(2));
+    const decimal = (value) =>
+      this.formatRepeatingExpansion(value.toRepeatingDecimalWithPeriod().decimal);
+    const fraction = (value) => (this.mixedDisplay ? value.toMixedString() : value.toString());
+
+    const decimalForm = `${decimal(midpoint)} ± ${decimal(radius)}`;
+    const fractionForm = `${fraction(midpoint)} ± ${fraction(radius)}`;
+    return decimalForm === fractionForm ? decimalForm : `${decimalForm} (${fractionForm})`;
+  }
+
+  sharedContinuedFractionPrefix(interval) {
+    // Leading terms both endpoints agree on, in the notation of toContinuedFractionString
+    const low = interval.low.toContinuedFraction();
+    const high = interval.high.toContinuedFraction();
+    let count = 0;
+    while (count < low.length && count < high.length && low[count] === high[count]) {
+      count++;
+    }
+    if (count === 0) return "";
+    const [whole, ...terms] = low.slice(0, count);
+    return terms.length > 0 ? `${whole}.~${terms.join("~")}` : `${whole}.`;
+  }
+
   loadModulesFromUrl() {
-    if (typeof window === 'undefined') return;
+    if (typeof window === 'undefined' || !window.location) return Promise.resolve();
 
     const params = new URLSearchParams(window.location.search);
     const loadParam = params.get('load');
+    const loads = [];
     if (loadParam) {
       const urls = loadParam.split(',');
       for (const url of urls) {
         if (url.trim()) {
-          this.handleLoadCommand(url.trim())
-            .then(msg => this.addToOutput("", msg, false))
-            .catch(e => this.addToOutput("", `Auto-load error: ${e.message}`, true));
+          loads.push(
+            this.handleLoadCommand(url.trim())
+              .then(msg => {
+                if (!this.loadedModules.includes(url.trim())) this.loadedModules.push(url.trim());
+                this.addToOutput("", msg, false);
+              })
+              .catch(e => this.addToOutput("", `Auto-load error: ${e.message}`, true)),
+          );
+        }
+      }
+    }
+    return Promise.all(loads);
+  }
+
+  getPermalinkLines() {
+    if (typeof window === 'undefined' || !window.location) return [];
+
+    // ?run=<line>&run=<line> and #run=<lines> both work; each value may hold several lines
+    const hash = (window.location.hash || "").replace(/^#/, "");
+    const values = [
+      ...new URLSearchParams(window.location.search).getAll('run'),
+      ...new URLSearchParams(hash).getAll('run'),
+    ];
+    return values
+      .flatMap((value) => value.split('\n'))
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#") && !line.startsWith("//"))
+      // A link only reproduces a computation; it never switches, clears or saves sessions
+      .filter((line) => !NON_REPLAYABLE_PATTERN.test(line));
+  }
+
+  replayPermalink() {
+    const lines = this.getPermalinkLines();
+    if (lines.length === 0) return;
+
+    for (const line of lines) {
+      this.processExpression(line);
+    }
+    this.addToOutput(
+      "",
+      `Shared link replayed in a scratch session, which is not saved. SESSIONS ${this.sessionName} returns to your saved session`,
+      false,
+    );
+
+    // Drop the replayed lines from the address bar so a reload does not run them again
+    if (window.history && window.history.replaceState) {
+      const params = new URLSearchParams(window.location.search);
+      params.delete('run');
+      const query = params.toString();
+      window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+    }
+  }
+
+  buildShareLink(mode = "") {
+    let lines;
+    if (mode.toUpperCase() === "ALL") {
+      // Every successful input, in order, for an exact reproduction of the session. The replay
+      // numbers its results afresh, so references to results are written as the values they had
+      lines = [];
+      let ansNumber = null;
+      for (const entry of this.outputHistory) {
+        if (entry.input && !entry.isError && !NON_REPLAYABLE_PATTERN.test(entry.input)) {
+          lines.push(this.inlineResultReferences(entry.input, ansNumber));
         }
+        if (entry.resultNumber) ansNumber = entry.resultNumber;
       }
+    } else {
+      // Current definitions and settings, then the expression to show
+      lines = this.buildSessionScript()
+        .split("\n")
+        .filter((line) => line.trim() && !line.startsWith("#"));
+      const expression = mode || this.lastExpression;
+      if (expression) lines.push(this.inlineResultReferences(expression));
+    }
+
+    const location = window.location;
+    const base = `${location.origin || ""}${location.pathname || ""}`;
+    const query = this.loadedModules.length > 0
+      ? `?load=${encodeURIComponent(this.loadedModules.join(","))}`
+      : "";
+    return `${base}${query}#run=${encodeURIComponent(lines.join("\n"))}`;
+  }
+
+  handleShareCommand(args) {
+    if (typeof window === 'undefined' || !window.location) {
+      const output = "Error: SHARE is only available in the browser";
+      this.addToOutput("", output, true);
+      this.currentEntry.isError = true;
+      this.finishEntry(output);
+      return;
+    }
+
+    let link;
+    try {
+      link = this.buildShareLink(args);
+    } catch (error) {
+      const output = `Error: ${error.message}`;
+      this.addToOutput("", output, true);
+      this.currentEntry.isError = true;
+      this.finishEntry(output);
+      return;
+    }
+    const report = (copied) => {
+      const output = `Share link${copied ? " (copied to clipboard)" : ""}:\n${link}`;
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+    };
+    if (typeof navigator === 'undefined' || !navigator.clipboard) {
+      report(false);
+      return;
     }
+    // The link is only reported as copied once the clipboard has accepted it
+    const entry = this.currentEntry;
+    navigator.clipboard.writeText(link).then(() => true, () => false).then((copied) => {
+      this.currentEntry = entry;
+      report(copied);
+    });
   }
 
   async handleLoadCommand(moduleInput) {
@@ -902,42 +2046,112 @@ class WebCalculator {
       const content = await response.text();
 
       if (url.endsWith(".js")) {
-        try {
-          const mod = await import(url);
-          const scope = mod.default || mod;
-          if (!scope.functions && !scope.variables) {
-            return `Warning: JS Module '${moduleName}' does not seem to export 'functions' or 'variables'.`;
-          }
-          return this.variableManager.loadModule(moduleName, scope);
-        } catch (e) {
-          throw new Error(`JS Import failed: ${e.message}. Note: WebCalc supports .rat scripts best.`);
+        const scope = await this.importJSModule(url, content);
+        if (!scope.functions && !scope.variables) {
+          return `Warning: JS Module '${moduleName}' does not seem to export 'functions' or 'variables'.`;
         }
+        return this.variableManager.loadModule(moduleName, scope);
       } else {
         // Rat Script
         const tempVM = new VariableManager();
         tempVM.setCustomBases(this.customBases);
         tempVM.setInputBase(this.inputBase);
+        // Standard library is available to script definitions but not re-exported by the module
+        registerStdLib(tempVM);
+        this.registerCalculatorFunctions(tempVM);
+        const builtinFunctions = new Set(tempVM.getFunctions().keys());
 
         const lines = content.split('\n');
-        for (const line of lines) {
-          if (!line.trim() || line.trim().startsWith("#") || line.trim().startsWith("//")) continue;
+        const failedCommands = [];
+        for (const [index, line] of lines.entries()) {
+          const trimmed = line.trim();
+          if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith("//")) continue;
+          if (SCRIPT_COMMAND_PATTERN.test(trimmed)) {
+            // Calculator commands (custom bases, output settings) apply to the calculator itself
+            const error = this.runScriptCommand(trimmed);
+            if (error) failedCommands.push(`  line ${index + 1}: ${error}`);
+            tempVM.setInputBase(this.inputBase);
+            continue;
+          }
           try {
             tempVM.processInput(line);
           } catch (e) { }
         }
 
         const modScope = {
-          functions: Object.fromEntries(tempVM.getFunctions()),
+          functions: Object.fromEntries(
+            [...tempVM.getFunctions()].filter(([name]) => !builtinFunctions.has(name)),
+          ),
           variables: Object.fromEntries(tempVM.getVariables())
         };
-        return this.variableManager.loadModule(moduleName, modScope);
+        const result = this.variableManager.loadModule(moduleName, modScope);
+        return failedCommands.length > 0
+          ? `${result}\nCommands that failed:\n${failedCommands.join("\n")}`
+          : result;
       }
     } catch (error) {
       throw error;
     }
   }
 
-  addToOutput(input = null, output = null, isError = false, result = null, expression = null) {
+  async importJSModule(url, source) {
+    // JS modules only ever run in a sandbox; where there is none, they are refused
+    if (!ModuleSandbox.available()) {
+      throw new Error(
+        "JS modules run in a sandbox, which needs a cross-origin isolated page " +
+          "(served with COOP and COEP headers). Load a .rat script instead.",
+      );
+    }
+    const { location } = globalThis;
+    const absolute = location ? new URL(url, location.href).href : url;
+    const sameOrigin = Boolean(location) && new URL(absolute).origin === location.origin;
+    if (!sameOrigin && !this.confirmModuleLoad(absolute)) {
+      throw new Error(`Loading ${url} was not allowed`);
+    }
+
+    const sandbox = await ModuleSandbox.open(url, source);
+    if (this.moduleSandboxes.has(url)) this.moduleSandboxes.get(url).close();
+    this.moduleSandboxes.set(url, sandbox);
+    // The page registers the exports for completion and help; calls run in the evaluation worker
+    return moduleScope(url, sandbox.manifest, null);
+  }
+
+  /**
+   * Run a call the evaluation worker made through its ModuleBridge and hand it the outcome
+   * @param {{url: string, name: string, args: Array}} call
+   */
+  async answerModuleCall(call) {
+    let outcome;
+    try {
+      const sandbox = this.moduleSandboxes.get(call.url);
+      if (!sandbox) throw new Error(`The module ${call.url} is not loaded`);
+      outcome = { result: await sandbox.call(call.name, call.args) };
+    } catch (error) {
+      outcome = { error: error.message };
+    }
+    ModuleBridge.answer(call, outcome);
+  }
+
+  closeModuleSandboxes() {
+    for (const sandbox of this.moduleSandboxes.values()) sandbox.close();
+    this.moduleSandboxes.clear();
+  }
+
+  confirmModuleLoad(url) {
+    // Modules from other sites run only after the user allows them once
+    if (this.sessionStore.getTrustedModules().includes(url)) return true;
+    if (typeof window === "undefined" || typeof window.confirm !== "function") return false;
+    const allowed = window.confirm(
+      `Load the JS module ${url}?\n\nIt runs in a sandboxed frame that is blocked from the network, ` +
+        "this page and your saved sessions, and it only receives the arguments you pass to its functions. " +
+        "It will be remembered as allowed.",
+    );
+    if (allowed) this.sessionStore.trustModule(url);
+    return allowed;
+  }
+
+  addToOutput(input = null, output = null, isError = false, result = null, expression = null, resultNumber = null) {
+    if (this.runningScript) return;
     const entry = document.createElement("div");
     entry.className = "output-entry";
 
@@ -965,14 +2179,7 @@ class WebCalculator {
       outputLine.className = isError ? "error-line" : "output-line";
 
       if (!isError) {
-        let icons = `<span class="inject-icon" title="Inject value">→</span>`;
-
-        // Add visualization icon for intervals
-        if (result && (result instanceof RationalInterval || result.constructor.name === 'RationalInterval')) {
-          icons += `<span class="viz-icon" title="Visualize interval">📊</span>`;
-        }
-
-        outputLine.innerHTML = `${this.escapeHtml(output)}${icons}`;
+        this.renderOutputLine(outputLine, output, result, resultNumber);
 
         // Store expression with this output for visualization
         if (expression) {
@@ -981,9 +2188,23 @@ class WebCalculator {
 
         // Add click handler for inject
         outputLine.addEventListener("click", (e) => {
-          if (e.target.classList.contains("inject-icon")) {
+          if (e.target.closest(".format-menu, .digits-panel, .info-panel")) {
+            e.stopPropagation();
+          } else if (e.target.classList.contains("format-icon")) {
+            e.stopPropagation();
+            this.showFormatMenu(outputLine, result, resultNumber);
+          } else if (e.target.classList.contains("info-icon")) {
+            e.stopPropagation();
+            this.showInfoPanel(outputLine, result);
+          } else if (e.target.classList.contains("copy-icon")) {
             e.stopPropagation();
-            const value = this.extractValue(output);
+            this.showCopyMenu(outputLine, result);
+          } else if (e.target.classList.contains("digits-icon")) {
+            e.stopPropagation();
+            this.showDigitsPanel(outputLine, result);
+          } else if (e.target.classList.contains("inject-icon")) {
+            e.stopPropagation();
+            const value = this.extractValue(output, result);
             this.injectValue(value);
           } else if (e.target.classList.contains("viz-icon")) {
             e.stopPropagation();
@@ -991,7 +2212,7 @@ class WebCalculator {
             this.showVisualization(result, storedExpression);
           } else if (e.currentTarget === outputLine && !e.target.classList.contains("viz-icon")) {
             e.stopPropagation();
-            const value = this.extractValue(output);
+            const value = this.extractValue(output, result);
             this.injectValue(value);
           }
         });
@@ -999,107 +2220,1167 @@ class WebCalculator {
         outputLine.textContent = output;
       }
 
-      entry.appendChild(outputLine);
+      entry.appendChild(outputLine);
+    }
+
+    this.outputHistoryElement.appendChild(entry);
+
+    // Handle scrolling
+    if (this.isMobile() && document.body.classList.contains("keypad-visible")) {
+      // For mobile, wait for DOM update then ensure content stays above input
+      requestAnimationFrame(() => {
+        this.scrollToKeepAboveInput();
+      });
+    } else {
+      // For desktop, normal scroll to bottom
+      requestAnimationFrame(() => {
+        this.outputHistoryElement.scrollTop =
+          this.outputHistoryElement.scrollHeight;
+      });
+    }
+  }
+
+  renderOutputLine(outputLine, output, result, resultNumber = null) {
+    let icons = `<span class="inject-icon" title="Inject value">→</span>`;
+
+    // Add visualization icon for intervals
+    if (result && (result instanceof RationalInterval || result.constructor.name === 'RationalInterval')) {
+      icons += `<span class="viz-icon" title="Visualize interval">📊</span>`;
+      icons += `<span class="info-icon" title="Width, midpoint and other properties">ⓘ</span>`;
+    }
+
+    // Add format menu icon for numeric results
+    if (result instanceof Rational || result instanceof Integer || result instanceof RationalInterval) {
+      icons += `<span class="format-icon" title="Show this result in another format">⇄</span>`;
+      icons += `<span class="copy-icon" title="Copy as LaTeX, JSON or JavaScript">⧉</span>`;
+    }
+
+    if (this.hasMoreDigits(output, result)) {
+      icons += `<span class="digits-icon" title="More digits">…</span>`;
+    }
+
+    // Typesetting only changes the display; copy and inject keep using the plain text.
+    // Typeset numbers are written ungrouped, as the overline spans the whole repetend.
+    let display = this.typesetDisplay && result ? typesetOutput(this.ungroupOutput(output)) : this.escapeHtml(output);
+    if (!this.typesetDisplay && result instanceof RationalInterval) {
+      display = this.highlightSharedContinuedFraction(display, result);
+    }
+    const number = resultNumber
+      ? `<span class="result-number" title="Refer to this result as out[${resultNumber}] or _${resultNumber}">[${resultNumber}]</span>`
+      : "";
+    outputLine.innerHTML = `${number}${display}${icons}`;
+    if (this.typesetDisplay && result) {
+      outputLine.classList.add("typeset");
+      outputLine.title = output;
+    }
+  }
+
+  hasMoreDigits(output, result) {
+    // An expansion was cut at LIMIT, or its period was too long to find
+    return /\.\.\.|\[period > 10\^\d+\]/.test(output) && this.digitExpansions(result).length > 0;
+  }
+
+  /**
+   * Expansions the more digits panel offers for a result: each value that is not
+   * a whole number (both endpoints of an interval) in base 10 and in the
+   * positional output bases
+   * @returns {Array<{label: string, rational: Rational, base: BaseSystem}>}
+   */
+  digitExpansions(result) {
+    let values = [];
+    if (result instanceof Rational) {
+      values = [["", result]];
+    } else if (result instanceof RationalInterval) {
+      values = [["low", result.low], ["high", result.high]];
+    }
+    const bases = [
+      BaseSystem.DECIMAL,
+      ...this.outputBases.filter(
+        (base) => !(base instanceof MixedRadixSystem) && !isNonstandardBase(base) && base.base !== 10,
+      ),
+    ];
+
+    const expansions = [];
+    for (const [endpoint, rational] of values) {
+      if (rational.denominator === 1n) continue;
+      for (const base of bases) {
+        const label = endpoint ? `${endpoint} endpoint, base ${base.base}` : `base ${base.base}`;
+        expansions.push({ label, rational, base });
+      }
+    }
+    return expansions;
+  }
+
+  describeExpansion(structure) {
+    const { preperiod, period } = structure;
+    const periodText = period === null ? "period not found within the FACT effort" : `period ${period}`;
+    return `Digits after the point: preperiod ${preperiod}, ${periodText}`;
+  }
+
+  formatDigitChunk(rational, start, count = DIGIT_CHUNK, base = BaseSystem.DECIMAL) {
+    const digits = fractionDigits(rational, start, count, base);
+    return `${start}: ${digits.match(/.{1,10}/g).join(" ")}`;
+  }
+
+  repetendDigits(rational, structure, base = BaseSystem.DECIMAL) {
+    const { preperiod, period } = structure;
+    if (!period || period > BigInt(MAX_REPETEND_DIGITS)) return null;
+    return fractionDigits(rational, preperiod + 1, Number(period), base);
+  }
+
+  showDigitsPanel(outputLine, result) {
+    if (outputLine.querySelector(".digits-panel")) return;
+
+    // Digits are computed per chunk for this result only; LIMIT is left alone
+    const expansions = this.digitExpansions(result);
+    let expansion = null;
+    let structure = null;
+    let next = 1n;
+
+    const panel = document.createElement("div");
+    panel.className = "digits-panel";
+    panel.innerHTML = `
+      <select aria-label="Expansion"></select>
+      <div class="digits-info"></div>
+      <div class="digits-text"></div>
+      <div class="digits-controls">
+        <button data-action="more">Next ${DIGIT_CHUNK} digits</button>
+        <input type="text" inputmode="numeric" placeholder="digit n" aria-label="Digit position">
+        <button data-action="jump">Go</button>
+        <button data-action="repetend">Full repetend</button>
+        <button data-action="close">Close</button>
+      </div>`;
+    const choice = panel.querySelector("select");
+    const info = panel.querySelector(".digits-info");
+    const text = panel.querySelector(".digits-text");
+    const position = panel.querySelector("input");
+    const repetendButton = panel.querySelector('[data-action="repetend"]');
+
+    const showChunk = (start, append) => {
+      const line = document.createElement("div");
+      line.textContent = this.formatDigitChunk(expansion.rational, start, DIGIT_CHUNK, expansion.base);
+      if (!append) text.innerHTML = "";
+      text.appendChild(line);
+      next = start + BigInt(DIGIT_CHUNK);
+    };
+
+    const select = (index) => {
+      const chosen = expansions[index];
+      expansion = chosen;
+      structure = null;
+      info.textContent = "Finding the period...";
+      repetendButton.disabled = true;
+      repetendButton.title = "";
+      showChunk(1n, false);
+
+      // Factoring the denominator can take a while, so the period is found in the side worker
+      const args = { value: serializeValue(chosen.rational), base: chosen.base.base };
+      this.runSideCommand({ name: "STRUCTURE", args }, this.timeLimit * 1000).then(
+        (found) => {
+          if (expansion !== chosen) return;
+          structure = found;
+          info.textContent = this.describeExpansion(structure);
+          let reason = "";
+          if (structure.period === null) {
+            reason = "The period is not known";
+          } else if (structure.period === 0n) {
+            reason = "The expansion terminates";
+          } else if (structure.period > BigInt(MAX_REPETEND_DIGITS)) {
+            reason = `Repetends longer than ${MAX_REPETEND_DIGITS} digits are not written out`;
+          }
+          repetendButton.disabled = reason !== "";
+          repetendButton.title = reason;
+        },
+        (error) => {
+          if (expansion !== chosen) return;
+          info.textContent = error.message;
+          repetendButton.title = "The period is not known";
+        },
+      );
+    };
+
+    // An interval's endpoints and the output bases each have their own expansion
+    expansions.forEach(({ label }, index) => {
+      const option = document.createElement("option");
+      option.value = `${index}`;
+      option.textContent = label;
+      choice.appendChild(option);
+    });
+    if (expansions.length < 2) choice.remove();
+    choice.addEventListener("change", () => select(Number(choice.value)));
+
+    panel.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const action = e.target.dataset && e.target.dataset.action;
+      if (action === "more") {
+        showChunk(next, true);
+      } else if (action === "jump") {
+        const value = position.value.trim();
+        if (/^\d+$/.test(value) && BigInt(value) > 0n) showChunk(BigInt(value), false);
+      } else if (action === "repetend") {
+        const digits = this.repetendDigits(expansion.rational, structure, expansion.base);
+        text.textContent = `${structure.preperiod + 1}–${structure.preperiod + digits.length}: ${digits}`;
+        next = BigInt(structure.preperiod + digits.length + 1);
+      } else if (action === "close") {
+        panel.remove();
+      }
+    });
+    position.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Enter") panel.querySelector('[data-action="jump"]').click();
+    });
+
+    select(0);
+    outputLine.appendChild(panel);
+  }
+
+  highlightSharedContinuedFraction(display, interval) {
+    // In CF output, mark the leading terms the two endpoints have in common
+    const lowCF = interval.low.toContinuedFractionString();
+    const highCF = interval.high.toContinuedFractionString();
+    const prefix = this.sharedContinuedFractionPrefix(interval);
+    const range = this.escapeHtml(`${lowCF}:${highCF}`);
+    if (!prefix || !display.includes(range)) return display;
+
+    const mark = (cf) => {
+      const shared = this.escapeHtml(prefix);
+      const rest = this.escapeHtml(cf.substring(prefix.length));
+      return `<mark class="cf-shared" title="Shared by both endpoints">${shared}</mark>${rest}`;
+    };
+    return display.replace(range, `${mark(lowCF)}:${mark(highCF)}`);
+  }
+
+  getFormatChoices(result = null) {
+    const choices = [
+      { label: "Decimal", options: { outputMode: "DECI" } },
+      { label: "Fraction", options: { outputMode: "RAT", mixedDisplay: false } },
+      { label: "Mixed", options: { outputMode: "RAT", mixedDisplay: true } },
+      { label: "Both", options: { outputMode: "BOTH" } },
+      { label: "Scientific", options: { outputMode: "SCI" } },
+      { label: "Engineering", options: { outputMode: "ENG" } },
+      { label: "Continued fraction", options: { outputMode: "CF" } },
+    ];
+    if (result instanceof Rational || result instanceof Integer) {
+      choices.push({ label: "Prime factors", options: { outputMode: "FACT" } });
+    }
+    if (result instanceof Rational && result.numerator > 0n && result.denominator !== 1n) {
+      choices.push({ label: "Egyptian fractions", options: { outputMode: "EGYPT" } });
+    }
+    if (result instanceof RationalInterval) {
+      choices.push(
+        { label: "Midpoint ± radius", options: { outputMode: "PM" } },
+        { label: "Guaranteed digits", options: { outputMode: "DIGITS" } },
+        { label: "Uncertainty", options: { outputMode: "UNCERT" } },
+      );
+    }
+
+    // Configured output bases and custom bases, plus the common ones
+    const bases = [];
+    const candidates = [
+      ...this.outputBases,
+      ...this.customBases.values(),
+      BaseSystem.BINARY,
+      BaseSystem.OCTAL,
+      BaseSystem.HEXADECIMAL,
+    ];
+    for (const base of candidates) {
+      if (base.base !== 10 && !bases.some((known) => known.equals(base))) {
+        bases.push(base);
+      }
+    }
+    for (const base of bases) {
+      choices.push({ label: `Base ${this.formatBaseSpec(base)}`, options: { outputBases: [base] } });
+    }
+
+    return choices;
+  }
+
+  formatResultAs(result, options) {
+    // formatResult reads the display settings, so swap them in just for this call
+    const saved = {
+      outputMode: this.outputMode,
+      mixedDisplay: this.mixedDisplay,
+      outputBases: this.outputBases,
+    };
+    Object.assign(this, options);
+    try {
+      return this.formatResult(result);
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  showFormatMenu(outputLine, result, resultNumber) {
+    this.hideFormatMenu();
+
+    const menu = document.createElement("div");
+    menu.className = "format-menu";
+    for (const { label, options } of this.getFormatChoices(result)) {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.hideFormatMenu();
+        let text;
+        try {
+          text = this.formatResultAs(result, options);
+        } catch (error) {
+          text = `Error: ${error.message}`;
+        }
+        this.renderOutputLine(outputLine, text, result, resultNumber);
+      });
+      menu.appendChild(button);
+    }
+
+    outputLine.appendChild(menu);
+    this.formatMenu = menu;
+  }
+
+  getCopyChoices() {
+    return [
+      { label: "LaTeX", format: "LATEX" },
+      { label: "LaTeX decimal", format: "LATEXDEC" },
+      { label: "JSON", format: "JSON" },
+      { label: "JavaScript", format: "JS" },
+    ];
+  }
+
+  formatResultForCopy(result, format) {
+    switch (format) {
+      case "LATEX":
+        return toLatex(result);
+      case "LATEXDEC":
+        return toLatex(result, { decimal: true, limit: this.decimalLimit, effort: this.factorEffort });
+      case "JSON":
+        return toJSONText(result);
+      case "JS":
+        return toJavaScript(result);
+      default:
+        throw new Error(`Unknown copy format '${format}'`);
+    }
+  }
+
+  showCopyMenu(outputLine, result) {
+    // Shares the format menu's slot, so only one of them is open at a time
+    this.hideFormatMenu();
+
+    const menu = document.createElement("div");
+    menu.className = "format-menu copy-menu";
+    for (const { label, format } of this.getCopyChoices()) {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        try {
+          await navigator.clipboard.writeText(this.formatResultForCopy(result, format));
+          button.textContent = "✓ Copied";
+          setTimeout(() => {
+            if (this.formatMenu === menu) this.hideFormatMenu();
+          }, 800);
+        } catch (error) {
+          console.error("Failed to copy to clipboard:", error);
+          button.textContent = "Copy failed";
+        }
+      });
+      menu.appendChild(button);
+    }
+
+    outputLine.appendChild(menu);
+    this.formatMenu = menu;
+  }
+
+  hideFormatMenu() {
+    if (this.formatMenu) {
+      this.formatMenu.remove();
+      this.formatMenu = null;
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  displayWelcome() {
+    const welcome = document.createElement("div");
+    welcome.className = "output-entry";
+    welcome.innerHTML = `
+      <div class="output-line no-mobile" style="color: #059669; font-weight: 600;">
+        Welcome to RatCalc!
+      </div>
+      <div class="output-line no-mobile" style="margin-top: 0.5rem;">
+        Type mathematical expressions and press Enter to calculate.
+      </div>
+      <div class="output-line no-mobile">
+        Use the Help button or type HELP for detailed instructions.
+      </div>
+    `;
+    this.outputHistoryElement.appendChild(welcome);
+  }
+
+  showHelp() {
+    this.helpModal.style.display = "block";
+    document.body.style.overflow = "hidden";
+  }
+
+  hideHelp() {
+    this.helpModal.style.display = "none";
+    document.body.style.overflow = "auto";
+    // Delay focus to ensure modal is fully hidden (except on mobile)
+    if (!this.isMobile()) {
+      setTimeout(() => this.inputElement.focus(), 100);
+    }
+  }
+
+
+  clearHistory() {
+    this.outputHistoryElement.innerHTML = "";
+    this.outputHistory = [];
+    this.currentEntry = null;
+    this.variableManager.clear(); // Clear variables and functions
+    registerStdLib(this.variableManager);
+    this.registerCalculatorFunctions(this.variableManager);
+    this.loadedModules = [];
+    this.closeModuleSandboxes();
+    this.resultCount = 0;
+    // CLEAR is the only way a saved session is discarded
+    if (!this.scratchSession) this.sessionStore.remove(this.sessionName);
+    this.displayWelcome();
+    if (!this.isMobile()) {
+      setTimeout(() => this.inputElement.focus(), 100);
+    }
+  }
+
+  showVariables() {
+    const variables = this.variableManager.getVariables();
+    const functions = this.variableManager.getFunctions();
+
+    if (variables.size === 0 && functions.size === 0) {
+      const output = "No variables or functions defined";
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      return;
+    }
+
+    let output = "";
+
+    if (variables.size > 0) {
+      output += "Variables:\n";
+      for (const [name, value] of variables) {
+        output += `  ${name} = ${this.formatResult(value)}\n`;
+      }
+    }
+
+    if (functions.size > 0) {
+      if (output) output += "\n";
+      output += "Functions:\n";
+      for (const [name, func] of functions) {
+        output += `  ${name}[${func.params.join(",")}] = ${func.expression}\n`;
+      }
+    }
+
+    // Remove trailing newline
+    output = output.trim();
+    this.addToOutput("", output, false);
+    this.finishEntry(output);
+  }
+
+  getSessionState() {
+    const variables = [];
+    for (const [name, value] of this.getUserVariables()) {
+      const data = serializeValue(value);
+      if (data) variables.push([name, data]);
+    }
+
+    // User definitions and their @@Static@ snapshots; JS and module functions are reloaded instead
+    const functions = [];
+    for (const [name, func] of this.variableManager.getFunctions()) {
+      if (func.type !== "def" || func.isImported) continue;
+      if (name.startsWith("@@") && !name.startsWith("@@Static@")) continue;
+      const { params, body, doc, defaults } = func;
+      functions.push([name, { params, body, doc, defaults }]);
+    }
+
+    return {
+      version: 1,
+      history: [...this.history],
+      outputHistory: this.outputHistory.map(({ input, output, isError, resultNumber }) => ({ input, output, isError, resultNumber })),
+      resultCount: this.resultCount,
+      variables,
+      functions,
+      customBases: [...this.customBases].map(([baseNum, base]) => [baseNum, serializeBase(base)]),
+      mixedRadixSystems: this.getCustomMixedRadixSystems().map(serializeBase),
+      loadedModules: [...this.loadedModules],
+      outputMode: this.outputMode,
+      decimalLimit: this.decimalLimit,
+      mixedDisplay: this.mixedDisplay,
+      sciPrecision: this.sciPrecision,
+      showPeriodInfo: this.showPeriodInfo,
+      siPrefixes: this.siPrefixes,
+      egyptMethod: this.egyptMethod,
+      factorEffort: this.factorEffort,
+      typesetDisplay: this.typesetDisplay,
+      digitGrouping: this.digitGrouping,
+      groupSeparator: this.groupSeparator,
+      groupSize: this.groupSize,
+      decimalSeparator: this.decimalSeparator,
+      timeLimit: this.timeLimit,
+      inputBase: serializeBase(this.inputBase),
+      outputBases: this.outputBases.map(serializeBase),
+    };
+  }
+
+  getUserVariables() {
+    return [...this.variableManager.getVariables()].filter(
+      ([name, value]) => !name.startsWith("@@") && !this.isModuleVariable(name, value),
+    );
+  }
+
+  isModuleVariable(name, value) {
+    for (const scope of this.variableManager.modules.values()) {
+      if (scope.variables && scope.variables[name] === value) return true;
+    }
+    return false;
+  }
+
+  applySessionState(state) {
+    this.outputMode = state.outputMode ?? this.outputMode;
+    this.decimalLimit = state.decimalLimit ?? this.decimalLimit;
+    this.mixedDisplay = state.mixedDisplay ?? this.mixedDisplay;
+    this.sciPrecision = state.sciPrecision ?? this.sciPrecision;
+    this.showPeriodInfo = state.showPeriodInfo ?? this.showPeriodInfo;
+    this.siPrefixes = state.siPrefixes ?? this.siPrefixes;
+    this.egyptMethod = state.egyptMethod ?? this.egyptMethod;
+    this.factorEffort = state.factorEffort ?? this.factorEffort;
+    this.typesetDisplay = state.typesetDisplay ?? this.typesetDisplay;
+    this.digitGrouping = state.digitGrouping ?? this.digitGrouping;
+    this.groupSeparator = state.groupSeparator ?? this.groupSeparator;
+    this.groupSize = state.groupSize ?? this.groupSize;
+    this.decimalSeparator = state.decimalSeparator ?? this.decimalSeparator;
+    this.timeLimit = state.timeLimit ?? this.timeLimit;
+
+    // Keep the same Map instance: the variable manager holds a reference to it
+    for (const [baseNum, data] of state.customBases || []) {
+      this.customBases.set(Number(baseNum), deserializeBase(data));
+    }
+    for (const data of state.mixedRadixSystems || []) {
+      const system = deserializeBase(data);
+      this.mixedRadixSystems.set(system.name, system);
+    }
+    if (state.inputBase) {
+      this.inputBase = deserializeBase(state.inputBase);
+      this.variableManager.setInputBase(this.inputBase);
+    }
+    if (state.outputBases && state.outputBases.length > 0) {
+      this.outputBases = state.outputBases.map(deserializeBase);
+    }
+
+    this.applyDefinitions(state);
+
+    this.history = state.history || [];
+    this.historyIndex = -1;
+    this.outputHistory = state.outputHistory || [];
+    this.resultCount = state.resultCount ?? this.resultCount;
+    for (const entry of this.outputHistory) {
+      if (entry.input) this.addToOutput(entry.input, null, false);
+      if (entry.output) this.addToOutput("", entry.output, entry.isError, null, null, entry.resultNumber);
+    }
+
+    this.loadedModules = [...(state.loadedModules || [])];
+    for (const moduleSpec of this.loadedModules) {
+      this.handleLoadCommand(moduleSpec)
+        .then(msg => this.addToOutput("", msg, false))
+        .catch(e => this.addToOutput("", `Session restore error: ${e.message}`, true));
+    }
+  }
+
+  applyDefinitions({ variables = [], functions = [] }) {
+    for (const [name, data] of variables) {
+      this.variableManager.variables.set(name, deserializeValue(data));
+    }
+    for (const [name, func] of functions) {
+      this.variableManager.functions.set(name, { ...func, type: "def" });
+    }
+  }
+
+  restoreSession() {
+    const state = this.sessionStore.load(this.sessionName);
+    if (!state) return;
+    try {
+      this.applySessionState(state);
+    } catch (error) {
+      console.error(`Failed to restore session '${this.sessionName}':`, error);
+      this.addToOutput("", `Could not restore session '${this.sessionName}': ${error.message}`, true);
+    }
+  }
+
+  saveSession() {
+    if (this.scratchSession) return;
+    this.sessionStore.save(this.sessionName, this.getSessionState());
+  }
+
+  resetSessionState() {
+    this.outputMode = "BOTH";
+    this.decimalLimit = 20;
+    this.mixedDisplay = true;
+    this.sciPrecision = 10;
+    this.showPeriodInfo = false;
+    this.siPrefixes = false;
+    this.egyptMethod = "greedy";
+    this.factorEffort = DEFAULT_EFFORT;
+    this.typesetDisplay = false;
+    this.digitGrouping = false;
+    this.groupSeparator = " ";
+    this.groupSize = 0;
+    this.decimalSeparator = ".";
+    this.timeLimit = 30;
+    this.history = [];
+    this.historyIndex = -1;
+    this.outputHistory = [];
+    this.currentEntry = null;
+    this.resultCount = 0;
+    this.inputBase = BaseSystem.DECIMAL;
+    this.outputBases = [BaseSystem.DECIMAL];
+    this.customBases.clear();
+    this.mixedRadixSystems = new Map(PRESET_MIXED_RADIX.map((system) => [system.name, system]));
+    this.loadedModules = [];
+    this.closeModuleSandboxes();
+    this.variableManager.clear();
+    this.variableManager.setInputBase(BaseSystem.DECIMAL);
+    registerStdLib(this.variableManager);
+    this.registerCalculatorFunctions(this.variableManager);
+  }
+
+  handleInfoCommand(args) {
+    // INFO works on stored values (ans by default), so it needs no evaluation
+    let output;
+    let isError = false;
+    try {
+      const name = args ? this.expandResultReferences(args) : "ans";
+      const value = this.variableManager.variables.get(name);
+      if (value === undefined) {
+        throw new Error(args ? `'${args}' is not a variable or result reference (e.g. INFO out[3])` : "No result yet");
+      }
+      if (!(value instanceof RationalInterval)) {
+        throw new Error(`INFO reports on intervals; ${args || "the last result"} is not an interval`);
+      }
+      output = this.formatIntervalInfo(value);
+    } catch (error) {
+      output = `Error: ${error.message}`;
+      isError = true;
+    }
+    this.addToOutput("", output, isError);
+    if (isError) this.currentEntry.isError = true;
+    this.finishEntry(output);
+  }
+
+  handleConvertCommand(args) {
+    this.runOutputCommand({ name: "CONVERT", args });
+  }
+
+  /**
+   * Run CONVERT or PERIOD, in the worker when available: their argument can be any
+   * expression and their expansions can be long, so they get the same time limit
+   * as any other evaluation
+   * @param {{name: string, args: string}} command
+   */
+  runOutputCommand(command) {
+    if (this.evaluator) {
+      this.startWorkerEvaluation(null, command);
+      return;
+    }
+
+    let output;
+    let isError = false;
+    try {
+      output = this.commandOutput(command);
+    } catch (error) {
+      output = `Error: ${error.message}`;
+      isError = true;
+    }
+    this.showCommandOutput(output, isError);
+  }
+
+  commandOutput({ name, args }) {
+    if (name === "CONVERT") {
+      return this.formatConvertTable(this.evaluateRationalArgument(args, "CONVERT"));
+    }
+    // Side worker commands
+    if (name === "PREVIEW") {
+      return this.getPreview(args);
+    }
+    if (name === "STRUCTURE") {
+      return expansionStructure(deserializeValue(args.value), args.base, this.factorEffort);
+    }
+    return this.periodOutput(args);
+  }
+
+  showCommandOutput(output, isError) {
+    this.addToOutput("", output, isError);
+    if (isError) this.currentEntry.isError = true;
+    this.finishEntry(output);
+  }
+
+  evaluateRationalArgument(args, command) {
+    const evaluated = this.variableManager.evaluateExpression(this.expandInput(args || "ans"));
+    if (evaluated.type === "error") {
+      throw new Error(args ? evaluated.message : "No result yet");
+    }
+    const value = evaluated.result;
+    if (value instanceof Integer) return new Rational(value.value, 1n);
+    if (!(value instanceof Rational)) {
+      throw new Error(`${command} needs a single rational value, not an interval`);
+    }
+    return value;
+  }
+
+  handlePeriodCommand(args) {
+    this.runOutputCommand({ name: "PERIOD", args });
+  }
+
+  periodOutput(args) {
+    // A trailing whole number is the base when what comes before it is an expression by itself
+    let expression = args;
+    let base = 10;
+    const baseMatch = args.match(/^(.+?)\s+(\d+)$/);
+    if (baseMatch && this.variableManager.evaluateExpression(this.expandInput(baseMatch[1])).type !== "error") {
+      expression = baseMatch[1];
+      base = parseInt(baseMatch[2]);
+      if (base < 2) throw new Error("PERIOD needs a base of at least 2");
+    }
+    return this.formatPeriodAnalysis(this.evaluateRationalArgument(expression, "PERIOD"), base);
+  }
+
+  formatPeriodAnalysis(rational, base) {
+    const { preperiod, period, modulus, factors, cofactors, cyclic } = periodAnalysis(rational, base, this.factorEffort);
+    const power = (prime, exponent) => (exponent === 1 ? `${prime}` : `${prime}^${exponent}`);
+    const orders = factors.filter((factor) => factor.order !== undefined);
+    let periodText = `${period}`;
+    if (period === null) {
+      periodText = "not found within the FACT effort";
+    } else if (orders.length > 1) {
+      periodText += " (the lcm of the orders below)";
+    }
+
+    const lines = [
+      `${rational.toString()} in base ${base}`,
+      `Preperiod: ${preperiod}`,
+      `Period: ${periodText}`,
+      modulus === 1n
+        ? `Order of ${base}: none (the denominator has no factors coprime to ${base})`
+        : `Order of ${base} mod ${modulus}: ${period === null ? "unknown" : period}`,
+      `Cyclic repetend: ${cyclic.value === null ? "unknown" : cyclic.value ? "yes" : "no"} (${cyclic.reason})`,
+      `Denominator: ${[...factors.map((f) => power(f.prime, f.exponent)), ...cofactors.map((c) => `[${c}]`)].join(" · ") || "1"}`,
+    ];
+    for (const factor of factors) {
+      const name = power(factor.prime, factor.exponent);
+      if (factor.preperiod !== undefined) {
+        lines.push(`  ${name}: divides a power of ${base}, needing ${factor.preperiod} preperiod digit${factor.preperiod === 1 ? "" : "s"}`);
+      } else {
+        lines.push(`  ${name}: ${base} has order ${factor.order === null ? "unknown" : factor.order} mod ${name}`);
+      }
+    }
+    for (const cofactor of cofactors) {
+      lines.push(`  [${cofactor}]: not factored`);
+    }
+    return lines.join("\n");
+  }
+
+  formatConvertTable(rational) {
+    const rows = CONVERT_BASES.map((n) => [`${n}`, BaseSystem.fromBase(n)]);
+    for (const [baseNum, base] of this.customBases) {
+      rows.push([`[${baseNum}]`, base]);
+    }
+
+    const table = [["Base", "Expansion", "Preperiod", "Period", "Terminates"]];
+    for (const [label, base] of rows) {
+      const { preperiod, period } = expansionStructure(rational, base.base, this.factorEffort);
+      // Only the digits LIMIT shows are written out when the expansion is longer than that
+      const long = period === null || preperiod + Number(period) > this.decimalLimit;
+      const { baseStr } = rational.toRepeatingBaseWithPeriod(base, long ? { limit: this.decimalLimit } : {});
+      let periodText = `${period}`;
+      if (period === null) {
+        // The denominator did not factor within the effort; count powers of the base instead
+        try {
+          periodText = `${rational.periodModulo(base)}`;
+        } catch (error) {
+          periodText = "> 10^6";
+        }
+      }
+      table.push([label, this.formatRepeatingExpansion(baseStr, base.base), `${preperiod}`, periodText, period === 0n ? "yes" : "no"]);
+    }
+
+    const widths = table[0].map((heading, column) => Math.max(...table.map((row) => row[column].length)));
+    return table
+      .map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd())
+      .join("\n");
+  }
+
+  formatIntervalInfo(interval) {
+    const info = intervalInfo(interval);
+    const { integers } = info;
+    let integerText = "none";
+    if (integers && integers.first === integers.last) {
+      integerText = integers.first.toString();
+    } else if (integers) {
+      integerText = `${integers.first} to ${integers.last} (${integers.last - integers.first + 1n} integers)`;
+    }
+    return [
+      `Width: ${this.formatResult(info.width)}`,
+      `Midpoint: ${this.formatResult(info.midpoint)}`,
+      `Radius: ${this.formatResult(info.radius)}`,
+      `Relative width: ${info.relativeWidth ? this.formatResult(info.relativeWidth) : "undefined (midpoint is 0)"}`,
+      `Contains zero: ${info.containsZero ? "yes" : "no"}`,
+      `Integers: ${integerText}`,
+      `Simplest rational: ${this.formatResult(info.simplest)}`,
+    ].join("\n");
+  }
+
+  showInfoPanel(outputLine, interval) {
+    const existing = outputLine.querySelector(".info-panel");
+    if (existing) {
+      existing.remove();
+      return;
     }
+    const panel = document.createElement("div");
+    panel.className = "info-panel";
+    panel.textContent = this.formatIntervalInfo(interval);
+    panel.addEventListener("click", (e) => e.stopPropagation());
+    outputLine.appendChild(panel);
+  }
 
-    this.outputHistoryElement.appendChild(entry);
+  handleGroupCommand(args) {
+    const [option = "", ...rest] = args.split(/\s+/).filter(Boolean);
+    const value = rest.join(" ");
+    let error = null;
 
-    // Handle scrolling
-    if (this.isMobile() && document.body.classList.contains("keypad-visible")) {
-      // For mobile, wait for DOM update then ensure content stays above input
-      requestAnimationFrame(() => {
-        this.scrollToKeepAboveInput();
-      });
-    } else {
-      // For desktop, normal scroll to bottom
-      requestAnimationFrame(() => {
-        this.outputHistoryElement.scrollTop =
-          this.outputHistoryElement.scrollHeight;
-      });
+    switch (option.toUpperCase()) {
+      case "":
+        this.digitGrouping = !this.digitGrouping;
+        break;
+      case "ON":
+      case "OFF":
+        this.digitGrouping = option.toUpperCase() === "ON";
+        break;
+      case "SIZE": {
+        const size = Number(value);
+        if (value.toUpperCase() === "AUTO") {
+          this.groupSize = 0;
+        } else if (Number.isInteger(size) && size > 0) {
+          this.groupSize = size;
+        } else {
+          error = "GROUP SIZE must be a positive whole number or AUTO";
+        }
+        break;
+      }
+      case "SEP": {
+        const separator = NAMED_SEPARATORS[value.toUpperCase()] ?? value;
+        if (Array.from(separator).length !== 1 || /[\w#@\/:+\-~{}()[\]]/.test(separator)) {
+          error = "GROUP SEP must be a single punctuation character or SPACE, THIN, NBSP, NNBSP";
+        } else if (separator === this.decimalSeparator) {
+          error = `GROUP SEP must differ from the decimal separator "${this.decimalSeparator}"`;
+        } else {
+          this.groupSeparator = separator;
+          this.digitGrouping = true;
+        }
+        break;
+      }
+      case "POINT":
+        if (value !== "." && value !== ",") {
+          error = "GROUP POINT must be . or ,";
+        } else if (value === this.groupSeparator) {
+          error = `GROUP POINT must differ from the group separator "${this.groupSeparator}"`;
+        } else {
+          this.decimalSeparator = value;
+        }
+        break;
+      case "LOCALE":
+        try {
+          const { separator, decimalSeparator } = localeSeparators(value || undefined);
+          this.groupSeparator = separator || this.groupSeparator;
+          this.decimalSeparator = decimalSeparator;
+          this.digitGrouping = Boolean(separator);
+        } catch (e) {
+          error = `Unknown locale '${value}'`;
+        }
+        break;
+      default:
+        error = "Usage: GROUP [ON|OFF], GROUP SIZE <n|AUTO>, GROUP SEP <char|SPACE|THIN>, GROUP POINT <.|,>, GROUP LOCALE [tag]";
     }
-  }
 
-  escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
+    const output = error ? `Error: ${error}` : this.describeGrouping();
+    this.addToOutput("", output, Boolean(error));
+    if (error) this.currentEntry.isError = true;
+    this.finishEntry(output);
   }
 
-  displayWelcome() {
-    const welcome = document.createElement("div");
-    welcome.className = "output-entry";
-    welcome.innerHTML = `
-      <div class="output-line no-mobile" style="color: #059669; font-weight: 600;">
-        Welcome to RatCalc!
-      </div>
-      <div class="output-line no-mobile" style="margin-top: 0.5rem;">
-        Type mathematical expressions and press Enter to calculate.
-      </div>
-      <div class="output-line no-mobile">
-        Use the Help button or type HELP for detailed instructions.
-      </div>
-    `;
-    this.outputHistoryElement.appendChild(welcome);
+  describeGrouping() {
+    const point = `decimal separator "${this.decimalSeparator}"`;
+    if (!this.digitGrouping) return `Digit grouping off, ${point}`;
+    const size = this.groupSize ? `groups of ${this.groupSize}` : "groups of 3 (4 in binary and hex)";
+    return `Digit grouping on: ${size} separated by ${this.separatorName(this.groupSeparator)}, ${point}`;
   }
 
-  showHelp() {
-    this.helpModal.style.display = "block";
-    document.body.style.overflow = "hidden";
+  separatorName(separator) {
+    const name = Object.keys(NAMED_SEPARATORS).find((key) => NAMED_SEPARATORS[key] === separator);
+    return name || separator;
   }
 
-  hideHelp() {
-    this.helpModal.style.display = "none";
-    document.body.style.overflow = "auto";
-    // Delay focus to ensure modal is fully hidden (except on mobile)
-    if (!this.isMobile()) {
-      setTimeout(() => this.inputElement.focus(), 100);
+  handleSessionsCommand(args) {
+    const deleteMatch = args.match(/^DELETE\s+(.+)$/i);
+
+    if (!args) {
+      const names = new Set(this.sessionStore.list());
+      names.add(this.sessionName);
+      const lines = [...names].sort().map((name) =>
+        name === this.sessionName ? `  * ${name} (current)` : `    ${name}`,
+      );
+      let output = `Saved sessions:\n${lines.join("\n")}`;
+      if (this.scratchSession) {
+        output += `\n(A shared link is shown in a scratch session that is not saved; SESSIONS ${this.sessionName} returns to '${this.sessionName}')`;
+      }
+      if (!this.sessionStore.available) {
+        output += "\n(Browser storage is unavailable; sessions will not persist)";
+      }
+      output += "\nUse SESSIONS <name> to switch and SESSIONS DELETE <name> to delete";
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      return;
+    }
+
+    const name = (deleteMatch ? deleteMatch[1] : args).trim();
+    if (!/^[\w-]+$/.test(name)) {
+      const output = "Error: Session names may only contain letters, digits, _ and -";
+      this.addToOutput("", output, true);
+      this.currentEntry.isError = true;
+      this.finishEntry(output);
+      return;
+    }
+
+    if (deleteMatch) {
+      let output;
+      let isError = true;
+      if (name === this.sessionName) {
+        output = `Error: Cannot delete the current session '${name}'. Switch sessions first or use CLEAR`;
+      } else if (!this.sessionStore.has(name)) {
+        output = `Error: No saved session named '${name}'`;
+      } else {
+        this.sessionStore.remove(name);
+        output = `Deleted session '${name}'`;
+        isError = false;
+      }
+      this.addToOutput("", output, isError);
+      this.currentEntry.isError = isError;
+      this.finishEntry(output);
+      return;
     }
+
+    this.switchSession(name);
   }
 
+  switchSession(name) {
+    if (name === this.sessionName && !this.scratchSession) {
+      const output = `Already in session '${name}'`;
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+      return;
+    }
+
+    // The switch command is recorded in the session being left
+    const isNew = !this.sessionStore.has(name);
+    const output = `Switched to ${isNew ? "new " : ""}session '${name}'`;
+    this.addToOutput("", output, false);
+    this.finishEntry(output);
 
-  clearHistory() {
+    this.resetSessionState();
+    this.scratchSession = false;
+    this.sessionName = name;
+    this.sessionStore.setCurrentName(name);
     this.outputHistoryElement.innerHTML = "";
-    this.outputHistory = [];
-    this.currentEntry = null;
-    this.variableManager.clear(); // Clear variables and functions
     this.displayWelcome();
-    if (!this.isMobile()) {
-      setTimeout(() => this.inputElement.focus(), 100);
+
+    if (isNew) {
+      this.saveSession();
+    } else {
+      this.restoreSession();
     }
+    this.addToOutput("", output, false);
   }
 
-  showVariables() {
-    const variables = this.variableManager.getVariables();
-    const functions = this.variableManager.getFunctions();
+  buildSessionScript() {
+    const lines = [
+      `# RatCalc session '${this.sessionName}' exported ${new Date().toISOString()}`,
+      "# Load it back with LOAD <url of this file>",
+    ];
+    // A definition's snapshots keep what they captured: a variable's is written as its value,
+    // a function's as the live name, or under a name of its own once the function has changed
+    const vm = this.variableManager;
+    const allFunctions = vm.getFunctions();
+    const renamedSnapshots = new Set();
+    const thaw = (expr) => expr.replace(/@@Static@([A-Za-z0-9_]+)_[0-9a-z]+(?![A-Za-z0-9_])/g, (snapshot, name) => {
+      if (vm.variables.has(snapshot)) return vm.formatValueWithPrefix(vm.variables.get(snapshot));
+      const frozen = allFunctions.get(snapshot);
+      const live = allFunctions.get(name);
+      if (!frozen || (live && live.body === frozen.body && String(live.params) === String(frozen.params))) {
+        return name;
+      }
+      renamedSnapshots.add(snapshot);
+      return snapshot.slice("@@Static@".length);
+    });
+    const formatDefinition = (name, func) => {
+      const defaults = func.defaults || {};
+      const params = func.params.map((param) => {
+        const clean = param.replace(/\?$/, "");
+        return param.endsWith("?") && defaults[clean] !== undefined
+          ? `${clean}?${thaw(defaults[clean])}`
+          : param;
+      });
+      return `${name}(${params.join(", ")}) -> ${thaw(func.body)}`;
+    };
 
-    if (variables.size === 0 && functions.size === 0) {
-      const output = "No variables or functions defined";
-      this.addToOutput("", output, false);
-      this.finishEntry(output);
-      return;
+    if (this.loadedModules.length > 0) {
+      lines.push("", "# Modules used by this session (load them first):");
+      for (const moduleSpec of this.loadedModules) {
+        lines.push(`# LOAD ${moduleSpec}`);
+      }
     }
 
-    let output = "";
+    const mixedRadixSystems = this.getCustomMixedRadixSystems();
+    if (this.customBases.size > 0 || mixedRadixSystems.length > 0) {
+      lines.push("", "# Custom bases");
+      for (const [baseNum, base] of this.customBases) {
+        lines.push(`[${baseNum}] = ${base.characters.join("")}`);
+      }
+      for (const system of mixedRadixSystems) {
+        lines.push(`RADIX ${system.name} = ${system.definition}`);
+      }
+    }
 
-    if (variables.size > 0) {
-      output += "Variables:\n";
+    // Function bodies are read in the input base, so BASE comes before the definitions
+    lines.push("", "# Bases");
+    const inputSpec = this.formatBaseSpec(this.inputBase);
+    if (this.outputBases.length === 1 && this.outputBases[0].equals(this.inputBase)) {
+      lines.push(`BASE ${inputSpec}`);
+    } else {
+      const outputSpecs = this.outputBases.map((base) => this.formatBaseSpec(base));
+      lines.push(`BASE ${inputSpec}->[${outputSpecs.join(",")}]`);
+    }
+
+    const variables = this.getUserVariables().filter(([name, value]) =>
+      !RESULT_VARIABLE_PATTERN.test(name) &&
+      (value instanceof Rational || value instanceof Integer || value instanceof RationalInterval),
+    );
+    if (variables.length > 0) {
+      lines.push("", "# Variables");
       for (const [name, value] of variables) {
-        output += `  ${name} = ${this.formatResult(value)}\n`;
+        lines.push(`${name} = ${this.variableManager.formatValueWithPrefix(value)}`);
       }
     }
 
-    if (functions.size > 0) {
-      if (output) output += "\n";
-      output += "Functions:\n";
-      for (const [name, func] of functions) {
-        output += `  ${name}[${func.params.join(",")}] = ${func.expression}\n`;
+    const functions = [...allFunctions].filter(
+      ([name, func]) => func.type === "def" && !func.isImported && !name.startsWith("@@"),
+    );
+    if (functions.length > 0) {
+      const definitions = functions.map(([name, func]) => formatDefinition(name, func));
+      // Snapshots only refer to older ones, so going from the newest finds them all
+      const snapshots = [];
+      for (const [name, func] of [...allFunctions].reverse()) {
+        if (renamedSnapshots.has(name)) {
+          snapshots.unshift(formatDefinition(name.slice("@@Static@".length), func));
+        }
       }
+      lines.push("", "# Functions", ...snapshots, ...definitions);
     }
 
-    // Remove trailing newline
-    output = output.trim();
-    this.addToOutput("", output, false);
-    this.finishEntry(output);
+    lines.push("", "# Settings");
+    if (this.outputMode === "EGYPT") {
+      lines.push(`EGYPT ${this.egyptMethod.toUpperCase()}`);
+    } else if (this.outputMode === "FACT") {
+      lines.push(`FACT ${this.factorEffort}`);
+    } else {
+      lines.push(this.outputMode);
+    }
+    lines.push(`MIX ${this.mixedDisplay ? "ON" : "OFF"}`);
+    lines.push(`LIMIT ${this.decimalLimit}`);
+    lines.push(`SCIPREC ${this.sciPrecision}`);
+    lines.push(`SCIPERIOD ${this.showPeriodInfo ? "ON" : "OFF"}`);
+    lines.push(`SIPREFIX ${this.siPrefixes ? "ON" : "OFF"}`);
+    lines.push(`TYPESET ${this.typesetDisplay ? "ON" : "OFF"}`);
+    // POINT goes first so a separator that was the old decimal point is accepted
+    lines.push(`GROUP POINT ${this.decimalSeparator}`);
+    lines.push(`GROUP SIZE ${this.groupSize || "AUTO"}`);
+    lines.push(`GROUP SEP ${this.separatorName(this.groupSeparator)}`);
+    lines.push(`GROUP ${this.digitGrouping ? "ON" : "OFF"}`);
+    lines.push(`TIMEOUT ${this.timeLimit > 0 ? this.timeLimit : "OFF"}`);
+
+    return lines.join("\n") + "\n";
+  }
+
+  formatBaseSpec(base) {
+    // Inverse of parseBaseSpec: prefer custom base numbers, then standard base numbers
+    if (base instanceof MixedRadixSystem) return `radix:${base.name}`;
+    if (isNonstandardBase(base)) return base.spec;
+    for (const [baseNum, custom] of this.customBases) {
+      if (custom.equals(base)) return `${baseNum}`;
+    }
+    if (
+      base.base <= 62 &&
+      !this.customBases.has(base.base) &&
+      BaseSystem.fromBase(base.base).equals(base)
+    ) {
+      return `${base.base}`;
+    }
+    return base.characters.join("");
+  }
+
+  exportSession(filename) {
+    const name = filename || `${this.sessionName}.rat`;
+    const fileName = /\.rat$/i.test(name) ? name : `${name}.rat`;
+
+    try {
+      const script = this.buildSessionScript();
+      const blob = new Blob([script], { type: "text/plain" });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      const output = `Session exported to ${fileName}. Use LOAD with the file's URL to load it back`;
+      this.addToOutput("", output, false);
+      this.finishEntry(output);
+    } catch (error) {
+      const output = `Error exporting session: ${error.message}`;
+      this.addToOutput("", output, true);
+      this.currentEntry.isError = true;
+      this.finishEntry(output);
+    }
+  }
+
+  /**
+   * Apply a command from a loading .rat script. It gets no history, output entry or
+   * session save of its own; the pending entry (e.g. the LOAD that fetched the script)
+   * and anything typed meanwhile are kept.
+   * @returns {string|null} The command's error message, if it failed
+   */
+  runScriptCommand(command) {
+    const pendingEntry = this.currentEntry;
+    const typed = this.inputElement.value;
+    this.runningScript = true;
+    try {
+      this.processExpression(command);
+    } finally {
+      this.runningScript = false;
+    }
+    const { isError, output } = this.currentEntry || {};
+    this.currentEntry = pendingEntry;
+    this.inputElement.value = typed;
+    return isError ? output : null;
   }
 
   async copySession() {
@@ -1374,7 +3655,24 @@ class WebCalculator {
     }
   }
 
-  extractValue(output) {
+  extractValue(output, result = null) {
+    // A known result injects exactly, whatever its output shows (factors, SI prefixes, truncated
+    // digits...), in a form the input base reads back
+    const vm = this.variableManager;
+    const format = (value) =>
+      this.inputBase.equals(BaseSystem.DECIMAL) ? vm.formatValue(value) : vm.formatValueWithPrefix(value);
+    if (result instanceof Rational || result instanceof Integer || result instanceof RationalInterval) {
+      return format(result);
+    }
+    // Lists inject their elements, ready to be passed as function arguments
+    if (result && result.type === "sequence") {
+      return result.values.map(format).join(", ");
+    }
+    output = this.ungroupOutput(output);
+    // Egyptian fraction sums inject whole, so they evaluate back to the value
+    const sum = output.match(/^(?:-\()?\d+(?:\/\d+)?(?: \+ 1\/\d+)+\)?/);
+    if (sum) return sum[0];
+
     // Extract numeric value from output string
     const match = output.match(/^([\d\/.:\-]+)/);
     return match ? match[1] : "";
@@ -1655,7 +3953,7 @@ class WebCalculator {
         output = `Current base: ${this.inputBase.name} (base ${this.inputBase.base})`;
       } else {
         output = `Input base: ${this.inputBase.name} (base ${this.inputBase.base})\n` +
-          `Output base${this.outputBases.length > 1 ? "s" : ""}: ${this.outputBases.map((b) => `${b.name} (base ${b.base})`).join(", ")}`;
+          `Output base${this.outputBases.length > 1 ? "s" : ""}: ${this.outputBases.map((b) => this.describeBase(b)).join(", ")}`;
       }
       this.addToOutput("", output, false);
       this.finishEntry(output);
@@ -1704,7 +4002,7 @@ class WebCalculator {
 
     // Parse input base
     try {
-      this.inputBase = this.parseBaseSpec(inputSpec.trim());
+      this.inputBase = this.parseInputBaseSpec(inputSpec.trim());
       this.variableManager.setInputBase(this.inputBase);
     } catch (error) {
       const output = `Error parsing input base: ${error.message}`;
@@ -1741,7 +4039,7 @@ class WebCalculator {
 
     // Success message
     const outputBaseNames = this.outputBases
-      .map((b) => `${b.name} (base ${b.base})`)
+      .map((b) => this.describeBase(b))
       .join(", ");
     const output = `Input base: ${this.inputBase.name} (base ${this.inputBase.base})\n` +
       `Output base${this.outputBases.length > 1 ? "s" : ""}: ${outputBaseNames}`;
@@ -1751,7 +4049,7 @@ class WebCalculator {
 
   handleLegacyBaseCommand(baseSpec) {
     try {
-      const base = this.parseBaseSpec(baseSpec);
+      const base = this.parseInputBaseSpec(baseSpec);
       this.inputBase = base;
       this.outputBases = [base];
       this.variableManager.setInputBase(base);
@@ -1779,7 +4077,7 @@ class WebCalculator {
           continue;
         }
         try {
-          const base = this.parseBaseSpec(def);
+          const base = this.parseInputBaseSpec(def);
           BaseSystem.registerPrefix(prefix, base);
           output += `Linked prefix '0${prefix}' to ${base.name}\n`;
         } catch (e) {
@@ -1803,6 +4101,16 @@ class WebCalculator {
   parseBaseSpec(baseSpec) {
     const trimmed = baseSpec.trim();
 
+    // Mixed-radix systems are named as radix:<name> so that names like dms stay digit sequences
+    const radixMatch = trimmed.match(/^radix:\s*(\w+)$/i);
+    if (radixMatch) {
+      const mixedRadix = this.mixedRadixSystems.get(radixMatch[1].toLowerCase());
+      if (!mixedRadix) {
+        throw new Error(`Unknown mixed-radix system '${radixMatch[1]}' (RADIX lists them)`);
+      }
+      return mixedRadix;
+    }
+
     // Support inline prefix registration (e.g. t:32)
     if (
       trimmed.includes(":") &&
@@ -1815,7 +4123,7 @@ class WebCalculator {
 
       if (prefix.length === 1) {
         try {
-          const base = this.parseBaseSpec(def);
+          const base = this.parseInputBaseSpec(def);
           BaseSystem.registerPrefix(prefix, base);
           return base;
         } catch (e) {
@@ -1852,6 +4160,10 @@ class WebCalculator {
       return BaseSystem.fromBase(numericBase);
     }
 
+    // 4. Balanced, negative and bijective bases (output only)
+    const nonstandard = parseNonstandardBase(trimmed);
+    if (nonstandard) return nonstandard;
+
     // If strictly numeric but failed above (e.g. 1, 01, 70), or non-numeric:
     // Try as character sequence.
     if (trimmed.length >= 2) {
@@ -1863,6 +4175,80 @@ class WebCalculator {
     );
   }
 
+  parseInputBaseSpec(baseSpec) {
+    const base = this.parseBaseSpec(baseSpec);
+    if (base instanceof MixedRadixSystem || isNonstandardBase(base)) {
+      const name = base instanceof MixedRadixSystem ? `Mixed-radix system '${base.name}'` : base.name;
+      const spec = this.formatBaseSpec(base);
+      throw new Error(`${name} can only be used for output (e.g. BASE 10->[10,${spec}])`);
+    }
+    return base;
+  }
+
+  describeBase(base) {
+    if (base instanceof MixedRadixSystem) return `${base.name} (${base.definition})`;
+    if (isNonstandardBase(base)) return `${base.name} (${base.spec})`;
+    return `${base.name} (base ${base.base})`;
+  }
+
+  getCustomMixedRadixSystems() {
+    return [...this.mixedRadixSystems.values()].filter(
+      (system) => !PRESET_MIXED_RADIX.some((preset) => preset.equals(system)),
+    );
+  }
+
+  handleRadixCommand(args) {
+    let output;
+    let isError = false;
+    try {
+      const definition = args.match(/^(\w+)\s*=\s*(.*)$/);
+      if (!args) {
+        output = this.listMixedRadixSystems();
+      } else if (args.toUpperCase() === "OFF") {
+        const bases = this.outputBases.filter((base) => !(base instanceof MixedRadixSystem));
+        this.outputBases = bases.length > 0 ? bases : [this.inputBase];
+        output = "Mixed-radix output off";
+      } else if (definition) {
+        const name = definition[1].toLowerCase();
+        if (PRESET_MIXED_RADIX.some((preset) => preset.name === name)) {
+          throw new Error(`'${name}' is a built-in mixed-radix system and cannot be redefined`);
+        }
+        const system = MixedRadixSystem.parse(name, definition[2]);
+        this.mixedRadixSystems.set(name, system);
+        // A redefined system that is being shown switches to the new definition
+        this.outputBases = this.outputBases.map((base) =>
+          base instanceof MixedRadixSystem && base.name === name ? system : base,
+        );
+        output = `Defined mixed radix ${name}: ${system.definition}`;
+      } else {
+        const system = this.mixedRadixSystems.get(args.toLowerCase());
+        if (!system) {
+          throw new Error(`Unknown mixed-radix system '${args}' (RADIX lists them)`);
+        }
+        if (!this.outputBases.some((base) => base.equals(system))) {
+          this.outputBases = [...this.outputBases, system];
+        }
+        output = `Output bases: ${this.outputBases.map((base) => this.describeBase(base)).join(", ")}`;
+      }
+    } catch (error) {
+      output = `Error: ${error.message}`;
+      isError = true;
+    }
+    this.addToOutput("", output, isError);
+    if (isError) this.currentEntry.isError = true;
+    this.finishEntry(output);
+  }
+
+  listMixedRadixSystems() {
+    let output = "Mixed-radix systems (values are taken in the first unit):\n";
+    for (const system of this.mixedRadixSystems.values()) {
+      const shown = this.outputBases.some((base) => base.equals(system)) ? "  (shown)" : "";
+      output += `  ${system.name.padEnd(8)}${system.definition}${shown}\n`;
+    }
+    output += "RADIX <name> adds one to the output, RADIX <name> = <unit> <radix> <unit> ... defines one, RADIX OFF removes them";
+    return output;
+  }
+
   showBases() {
     let output = "Available base systems:\n\nStandard bases:\n";
     output += "  Binary (BIN):       base 2\n";
@@ -1871,6 +4257,13 @@ class WebCalculator {
     output += "  Hexadecimal (HEX):  base 16\n";
     output += "  Base 36:            base 36\n";
     output += "  Base 62:            base 62\n\n";
+    output += "Output-only systems (use BASE <in>->[<out>,...]):\n";
+    output += "  bal3 (balanced):    balanced ternary, digits -, 0, +\n";
+    output += "  -2 ... -36:         negative bases (negabinary, negadecimal, ...)\n";
+    output += "  bij2 ... bij35:     bijective bases, digits 1 to k (ε is zero)\n";
+    output += "  fac (factoradic):   factorial base, always terminating\n";
+    output += "  zeck (zeckendorf):  sums of Fibonacci numbers, integers only\n";
+    output += "  radix:hms, ...:     mixed-radix systems (see RADIX)\n\n";
     output += "Base commands:\n";
     output += "  BASE                - Show current base\n";
     output += "  BASE <n>            - Set base to n (2-62)\n";
@@ -1880,7 +4273,8 @@ class WebCalculator {
     output += "  BASE <in>->[<out1>,<out2>,...] - Set input base and multiple output bases\n";
     output += "  BIN, HEX, OCT, DEC  - Quick base shortcuts\n";
     output += "  BASES               - Show this help\n";
-    output += "  BASES a:n, b:m...   - Link multiple prefixes to bases (e.g., BASES t:32, z:62)";
+    output += "  BASES a:n, b:m...   - Link multiple prefixes to bases (e.g., BASES t:32, z:62)\n";
+    output += "  RADIX               - List mixed-radix output systems (hms, dhms, dms, ftin, ...)";
 
     this.addToOutput("", output, false);
     this.finishEntry(output);
@@ -2005,90 +4399,6 @@ class WebCalculator {
     }
   }
 
-  loadModulesFromUrl() {
-    if (typeof window === 'undefined' || !window.location) return;
-
-    const params = new URLSearchParams(window.location.search);
-    const loadParam = params.get('load');
-    if (loadParam) {
-      const urls = loadParam.split(',');
-      for (const url of urls) {
-        if (url.trim()) {
-          this.handleLoadCommand(url.trim())
-            .then(msg => this.addToOutput("", msg, false))
-            .catch(e => this.addToOutput("", `Auto-load error: ${e.message}`, true));
-        }
-      }
-    }
-  }
-
-  async handleLoadCommand(inputUrl) {
-    try {
-      let url = inputUrl;
-      let moduleName = "";
-
-      if (inputUrl.startsWith("@@")) {
-        // Defined convention: @@Module -> /modules/Module.rat (or similar)
-        // For now, let's assume relative path check
-        const name = inputUrl.substring(2).replace(/@$/, "");
-        moduleName = name;
-        url = `${name}.rat`; // Default assumption for web: try fetching .rat file relative
-      } else {
-        const basename = url.split(/[/\]/).pop().split(/[?#]/)[0].split('.')[0];
-        moduleName = basename.charAt(0).toUpperCase() + basename.slice(1);
-      }
-
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ${url} (Status ${response.status})`);
-      }
-
-      const content = await response.text();
-
-      // We can reuse manual parsing logic, logic similar to CLI
-      // But here we might want to be safer or strictly assume .rat script format
-      // If .js, we can't easily dynamic import(url) cross-origin or even same-origin easily without module setup.
-      // Restrict Web Load to .rat scripts for now unless it ends in .js and we try shim?
-      // Let's support .rat scripts primarily.
-
-      if (url.endsWith(".js")) {
-        // Dynamic import for web? 
-        // import(url) works in modern browsers for modules.
-        try {
-          const mod = await import(url);
-          const scope = mod.default || mod;
-          if (!scope.functions && !scope.variables) {
-            return `Warning: JS Module '${moduleName}' does not seem to export 'functions' or 'variables'.`;
-          }
-          return this.variableManager.loadModule(moduleName, scope);
-        } catch (e) {
-          throw new Error(`JS Import failed: ${e.message}. Note: WebCalc supports .rat scripts best.`);
-        }
-      } else {
-        // Rat Script
-        const tempVM = new VariableManager();
-        tempVM.setCustomBases(this.customBases);
-        tempVM.setInputBase(this.inputBase);
-
-        const lines = content.split('\n');
-        for (const line of lines) {
-          if (!line.trim() || line.trim().startsWith("#") || line.trim().startsWith("//")) continue;
-          try {
-            tempVM.processInput(line);
-          } catch (e) { }
-        }
-
-        const modScope = {
-          functions: Object.fromEntries(tempVM.getFunctions()),
-          variables: Object.fromEntries(tempVM.getVariables())
-        };
-        return this.variableManager.loadModule(moduleName, modScope);
-      }
-
-    } catch (error) {
-      throw error; // Propagate to caller
-    }
-  }
 }
 
 if (typeof document !== "undefined") {
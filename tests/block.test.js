@@ -0,0 +1,56 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("WebCalc: Multi-line input", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.logs = [];
+    });
+
+    test("runs each line in order, skipping blank lines and comments", () => {
+        calc.inputElement.value = "x = 2\ny = x + 1\n\n# the answer\ny * 2";
+        calc.processInput();
+
+        expect(calc.logs).toEqual(["x = 2", "y = 3", "6"]);
+        expect(calc.inputElement.value).toBe("");
+        expect(calc.inputElement.rows).toBe(1);
+        expect(calc.history.slice(-3)).toEqual(["x = 2", "y = x + 1", "y * 2"]);
+    });
+
+    test("stops at the first error and reports its line number", () => {
+        calc.runBlock("a = 1\n1/0\nb = 2");
+
+        expect(calc.getLastLog()).toBe("Stopped at line 2 of 3; the remaining lines were not run");
+        expect(calc.variableManager.getVariables().has("b")).toBe(false);
+        const failed = calc.outputHistory[calc.outputHistory.length - 1];
+        expect(failed.input).toBe("1/0");
+        expect(failed.isError).toBe(true);
+    });
+
+    test("lines after a LOAD wait for the module", async () => {
+        global.fetch = () => Promise.resolve({ ok: true, text: () => Promise.resolve("Twice(x) -> 2*x") });
+        calc.runBlock("LOAD http://example.com/twice.rat\nTwice(21)");
+        expect(calc.loadingModule).toBe(true);
+
+        for (let i = 0; i < 50 && calc.loadingModule; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        expect(calc.getLastLog()).toBe("42");
+    });
+
+    test("a line typed while a block's LOAD is pending waits for it too", async () => {
+        global.fetch = () => Promise.resolve({ ok: true, text: () => Promise.resolve("Thrice(x) -> 3*x") });
+        calc.runBlock("LOAD http://example.com/thrice.rat\nThrice(2)");
+        calc.processExpression("Thrice(5)");
+        expect(calc.evaluationQueue.map(({ input }) => input)).toEqual(["Thrice(2)", "Thrice(5)"]);
+
+        for (let i = 0; i < 50 && calc.loadingModule; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        expect(calc.logs.slice(-2)).toEqual(["6", "15"]);
+    });
+});
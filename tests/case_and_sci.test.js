@@ -1,33 +1,8 @@
 import { describe, test, expect, beforeEach } from "bun:test";
-import { WebCalculator } from "../src/web-calc.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
 import { BaseSystem } from "@ratmath/core";
 
-if (typeof document === "undefined") {
-    global.document = {
-        addEventListener: () => { },
-        getElementById: () => ({ value: "", focus: () => { }, addEventListener: () => { } }),
-    };
-    global.window = { innerWidth: 1024 };
-}
-
-class TestWebCalculator extends WebCalculator {
-    constructor() {
-        super();
-        this.logs = [];
-    }
-    initializeElements() {
-        this.inputElement = { value: "", focus: () => { }, addEventListener: () => { }, setAttribute: () => { } };
-        this.outputHistoryElement = { appendChild: () => { }, scrollHeight: 0, scrollTop: 0 };
-    }
-    setupEventListeners() { }
-    displayWelcome() { }
-    addToOutput(input, output, isError) {
-        if (output) this.logs.push(output);
-    }
-    finishEntry(output) { }
-    getLastLog() { return this.logs[this.logs.length - 1]; }
-    clearLogs() { this.logs = []; }
-}
+useBrowserGlobals();
 
 describe("WebCalc: Custom Base Sensitivity and Sci Notation", () => {
     let calc;
@@ -0,0 +1,89 @@
+import { describe, test, expect } from "bun:test";
+import { findWordAt, getCompletions, findCallAt } from "../src/completion.js";
+import { useBrowserGlobals, TestWebCalculator, ListeningWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+class CompletionCalculator extends TestWebCalculator {
+    initializeElements() {
+        super.initializeElements();
+        this.inputHint = { textContent: "", style: {} };
+    }
+
+    type(text) {
+        this.inputElement.value = text;
+        this.inputElement.selectionStart = text.length;
+        this.completion = null;
+    }
+}
+
+describe("Completion helpers", () => {
+    const sources = {
+        variables: ["x", "xmax", "@@reals@PI", "PI"],
+        functions: ["Sin", "Sinh", "@@reals@Sin", "@@Static@F_abc123def456"],
+        commands: ["SCI", "SCIPREC", "SESSIONS"],
+    };
+
+    test("finds the word before the cursor", () => {
+        expect(findWordAt("2*Si + 1", 4)).toEqual({ start: 2, word: "Si" });
+        expect(findWordAt("@@re", 4)).toEqual({ start: 0, word: "@@re" });
+    });
+
+    test("offers commands only at the start of the line", () => {
+        expect(getCompletions("sc", sources, true).map((m) => m.name)).toEqual(["SCI", "SCIPREC"]);
+        expect(getCompletions("S", sources, false).map((m) => m.text)).toEqual(["Sin(", "Sinh("]);
+    });
+
+    test("offers qualified module names and hides generated ones", () => {
+        const names = getCompletions("@@", sources).map((m) => m.name);
+        expect(names).toEqual(["@@reals@PI", "@@reals@Sin"]);
+        expect(getCompletions("x", sources).map((m) => m.name)).toEqual(["xmax"]);
+    });
+
+    test("finds the enclosing call for signature hints", () => {
+        expect(findCallAt("Sin(", 4)).toBe("Sin");
+        expect(findCallAt("2 + F(1, (3+4)*G(2), ", 21)).toBe("F");
+        expect(findCallAt("(1+2", 4)).toBeNull();
+        expect(findCallAt("Sin(1) + 2", 10)).toBeNull();
+    });
+});
+
+describe("WebCalc: Tab completion", () => {
+    test("completes, cycles and shows the signature", () => {
+        const calc = new CompletionCalculator();
+        calc.processExpression("Wxarea(w, h) -> w*h");
+        calc.processExpression("Wxarc(t) -> t");
+
+        calc.type("1 + Wxar");
+        calc.completeInput();
+        expect(calc.inputElement.value).toBe("1 + Wxarc(");
+        expect(calc.inputHint.textContent).toBe("[Wxarc]  Wxarea");
+        calc.completeInput();
+        expect(calc.inputElement.value).toBe("1 + Wxarea(");
+
+        calc.type("1 + Wxarea(");
+        calc.updateSignatureHint();
+        expect(calc.inputHint.textContent).toContain("Wxarea(w, h)");
+        expect(calc.inputHint.style.display).toBe("block");
+    });
+
+    test("completes commands at the start of the input", () => {
+        const calc = new CompletionCalculator();
+        calc.type("timeo");
+        calc.completeInput();
+        expect(calc.inputElement.value).toBe("TIMEOUT");
+    });
+
+    test("one Tab key press moves one candidate along", () => {
+        const calc = new ListeningWebCalculator();
+        calc.processExpression("Wxarea(w, h) -> w*h");
+        calc.processExpression("Wxarc(t) -> t");
+
+        calc.inputElement.value = "1 + Wxar";
+        calc.inputElement.selectionStart = 8;
+        calc.inputElement.dispatch("keydown", { key: "Tab" });
+        expect(calc.inputElement.value).toBe("1 + Wxarc(");
+        calc.inputElement.dispatch("keydown", { key: "Tab" });
+        expect(calc.inputElement.value).toBe("1 + Wxarea(");
+    });
+});
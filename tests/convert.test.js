@@ -0,0 +1,48 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("WebCalc: CONVERT command", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+    });
+
+    test("tabulates a value across the common bases", () => {
+        calc.processExpression("CONVERT 1/6");
+        expect(calc.getLastLog()).toBe([
+            "Base  Expansion  Preperiod  Period  Terminates",
+            "2     0.0#01     1          2       no",
+            "8     0.1#25     1          2       no",
+            "10    0.1#6      1          1       no",
+            "12    0.2        1          0       yes",
+            "16    0.2#a      1          1       no",
+            "36    0.6        1          0       yes",
+            "60    0.a        1          0       yes",
+        ].join("\n"));
+    });
+
+    test("uses the last result and adds custom bases", () => {
+        calc.processExpression("[3] = abc");
+        calc.processExpression("5/4");
+        calc.processExpression("CONVERT");
+        const lines = calc.getLastLog().split("\n");
+        expect(lines).toHaveLength(9);
+        expect(lines[1]).toBe("2     1.01       2          0       yes");
+        expect(lines[8]).toBe("[3]   b.#ac      0          2       no");
+    });
+
+    test("writes out only LIMIT digits of long expansions", () => {
+        calc.processExpression("CONVERT 1/9973");
+        const lines = calc.getLastLog().split("\n");
+        expect(lines[3]).toBe("10    0.00010027073097362879...  0          554     no");
+    });
+
+    test("rejects intervals", () => {
+        calc.processExpression("CONVERT 1:2");
+        expect(calc.getLastLog()).toBe("Error: CONVERT needs a single rational value, not an interval");
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational, RationalInterval, Integer } from "@ratmath/core";
+import { toLatex, toJSONText, toJavaScript } from "../src/copy-formats.js";
+import { deserializeValue } from "../src/serialization.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("Copy formats", () => {
+    const third = new Rational(-1n, 3n);
+    const interval = new RationalInterval(new Rational(1n, 3n), new Rational(1n, 2n));
+
+    test("writes LaTeX fractions and overlined decimals", () => {
+        expect(toLatex(new Rational(22n, 7n))).toBe("\\frac{22}{7}");
+        expect(toLatex(third)).toBe("-\\frac{1}{3}");
+        expect(toLatex(new Integer(12n))).toBe("12");
+        expect(toLatex(new Rational(22n, 7n), { decimal: true })).toBe("3.\\overline{142857}");
+        expect(toLatex(new Rational(1n, 12n), { decimal: true })).toBe("0.08\\overline{3}");
+        expect(toLatex(new Rational(1n, 97n), { decimal: true, limit: 10 })).toBe("0.0103092783\\ldots");
+        expect(toLatex(interval, { decimal: true })).toBe("\\left[0.\\overline{3}, 0.5\\right]");
+    });
+
+    test("writes JSON that deserializes to the same value", () => {
+        expect(toJSONText(third)).toBe('{"type":"rational","numerator":"-1","denominator":"3"}');
+        const restored = deserializeValue(JSON.parse(toJSONText(interval)));
+        expect(restored.low.equals(interval.low) && restored.high.equals(interval.high)).toBe(true);
+    });
+
+    test("writes JavaScript with the imports it needs", () => {
+        expect(toJavaScript(third)).toBe('import { Rational } from "@ratmath/core";\nnew Rational(-1n, 3n)');
+        expect(toJavaScript(interval)).toBe(
+            'import { Rational, RationalInterval } from "@ratmath/core";\n' +
+            "new RationalInterval(new Rational(1n, 3n), new Rational(1n, 2n))",
+        );
+    });
+});
+
+describe("WebCalc: copy menu", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+    });
+
+    test("offers every format and uses LIMIT for decimals", () => {
+        expect(calc.getCopyChoices().map((choice) => choice.label)).toEqual(["LaTeX", "LaTeX decimal", "JSON", "JavaScript"]);
+        calc.processExpression("LIMIT 5");
+        expect(calc.formatResultForCopy(new Rational(1n, 97n), "LATEXDEC")).toBe("0.01030\\ldots");
+        expect(calc.formatResultForCopy(new Integer(7n), "JS")).toBe('import { Integer } from "@ratmath/core";\nnew Integer(7n)');
+    });
+});
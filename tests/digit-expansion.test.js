@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational, RationalInterval, BaseSystem } from "@ratmath/core";
+import { fractionDigits, multiplicativeOrder, expansionStructure } from "../src/digit-expansion.js";
+import { serializeValue } from "../src/serialization.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("Digit expansion", () => {
+    test("computes digits at any position", () => {
+        expect(fractionDigits(new Rational(1n, 17n), 1, 20)).toBe("05882352941176470588");
+        expect(fractionDigits(new Rational(-7n, 3n), 1, 5)).toBe("33333");
+        expect(fractionDigits(new Rational(1n, 7n), 10n ** 30n, 12)).toBe("857142857142");
+        expect(fractionDigits(new Rational(1n, 7n), 1, 6, 2)).toBe("001001");
+        expect(fractionDigits(new Rational(1n, 61n), 1, 2, 60)).toBe("0X");
+        expect(fractionDigits(new Rational(1n, 2n), 1, 4, new BaseSystem("abc"))).toBe("bbbb");
+    });
+
+    test("finds the preperiod and period from the denominator", () => {
+        expect(expansionStructure(new Rational(1n, 17n))).toEqual({ preperiod: 0, period: 16n, modulus: 17n });
+        expect(expansionStructure(new Rational(1n, 12n))).toEqual({ preperiod: 2, period: 1n, modulus: 3n });
+        expect(expansionStructure(new Rational(3n, 8n))).toEqual({ preperiod: 3, period: 0n, modulus: 1n });
+        expect(expansionStructure(new Rational(1n, 4n), 6)).toEqual({ preperiod: 2, period: 0n, modulus: 1n });
+    });
+
+    test("finds periods far beyond what can be written out", () => {
+        const { period } = expansionStructure(new Rational(1n, 1000000007n * 998244353n));
+        expect(period).toBe(499122178994733056n);
+        expect(multiplicativeOrder(10n, 2n ** 89n - 1n)).toBe(103161669940448356241593685n);
+        expect(multiplicativeOrder(10n, 1000000016000000063n, 0)).toBe(null);
+    });
+});
+
+describe("WebCalc: more digits", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+    });
+
+    test("offers more digits only for truncated decimals", () => {
+        const long = new Rational(1n, 97n);
+        expect(calc.hasMoreDigits(calc.formatResult(long), long)).toBe(true);
+        const short = new Rational(1n, 7n);
+        expect(calc.hasMoreDigits(calc.formatResult(short), short)).toBe(false);
+    });
+
+    test("offers both endpoints of truncated intervals and the output bases", () => {
+        calc.processExpression("BASE 10->[10,16]");
+        const interval = new RationalInterval(new Rational(1n, 97n), new Rational(2n, 1n));
+        expect(calc.hasMoreDigits(calc.formatResult(interval), interval)).toBe(true);
+        const expansions = calc.digitExpansions(interval);
+        expect(expansions.map(({ label }) => label)).toEqual(["low endpoint, base 10", "low endpoint, base 16"]);
+        expect(calc.formatDigitChunk(interval.low, 1n, 10, expansions[1].base)).toBe("1: 02a3a0fd5c");
+    });
+
+    test("writes chunks, positions and the full repetend without changing LIMIT", () => {
+        const value = new Rational(1n, 97n);
+        const structure = expansionStructure(value, 10, calc.factorEffort);
+        expect(calc.describeExpansion(structure)).toBe("Digits after the point: preperiod 0, period 96");
+        expect(calc.formatDigitChunk(value, 1n, 20)).toBe("1: 0103092783 5051546391");
+        expect(calc.formatDigitChunk(value, 97n, 10)).toBe("97: 0103092783");
+        expect(calc.repetendDigits(value, structure)).toHaveLength(96);
+        expect(calc.decimalLimit).toBe(20);
+    });
+
+    test("finds the period as a side worker command from a serialized value", () => {
+        const value = new Rational(1n, 97n);
+        const command = { name: "STRUCTURE", args: { value: serializeValue(value), base: 16 } };
+        // The command crosses to the worker, so it holds no calculator objects
+        expect(structuredClone(command)).toEqual(command);
+        expect(calc.commandOutput(command)).toEqual(expansionStructure(value, 16, calc.factorEffort));
+        expect(calc.commandOutput(command).period).toBe(12n);
+    });
+});
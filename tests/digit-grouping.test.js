@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational, Integer, BaseSystem } from "@ratmath/core";
+import { groupDigits, ungroupDigits, localeSeparators } from "../src/digit-grouping.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("Digit grouping", () => {
+    test("groups the whole part leftwards and the fraction rightwards", () => {
+        expect(groupDigits("1234567.8912")).toBe("1 234 567.891 2");
+        expect(groupDigits("-1234")).toBe("-1 234");
+        expect(groupDigits("123")).toBe("123");
+        expect(groupDigits("0.1234567...")).toBe("0.123 456 7...");
+        expect(groupDigits("deadbeef", { size: 4 })).toBe("dead beef");
+    });
+
+    test("keeps groups aligned through the repeat marker and digit runs", () => {
+        expect(groupDigits("176366.#714285")).toBe("176 366.#714 285");
+        expect(groupDigits("0.123#4567")).toBe("0.123 #456 7");
+        expect(groupDigits("0.{0~5}12")).toBe("0.{0~5}1 2");
+    });
+
+    test("writes another decimal separator and undoes it on ungrouping", () => {
+        const options = { separator: ".", decimalSeparator: "," };
+        expect(groupDigits("154320.875", options)).toBe("154.320,875");
+        expect(ungroupDigits("154.320,875 (1234567/8)", options)).toBe("154320.875 (1234567/8)");
+        expect(ungroupDigits("1 234.5 + 1/3", { separator: " " })).toBe("1234.5 + 1/3");
+    });
+
+    test("reads separators from a locale", () => {
+        expect(localeSeparators("en-US")).toEqual({ separator: ",", decimalSeparator: "." });
+        expect(localeSeparators("de-DE")).toEqual({ separator: ".", decimalSeparator: "," });
+    });
+});
+
+describe("WebCalc: GROUP command", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+    });
+
+    test("groups decimal and base output with per-base sizes", () => {
+        calc.processExpression("GROUP ON");
+        expect(calc.getLastLog()).toBe('Digit grouping on: groups of 3 (4 in binary and hex) separated by SPACE, decimal separator "."');
+        expect(calc.formatResult(new Rational(1234567n, 8n))).toBe("154 320.875 (1234567/8)");
+        calc.outputBases = [BaseSystem.HEXADECIMAL];
+        expect(calc.formatResult(new Integer(3735928559n))).toBe("3 735 928 559 (0xdead beef)");
+        calc.processExpression("GROUP SIZE 2");
+        expect(calc.formatResult(new Integer(3735928559n))).toBe("37 35 92 85 59 (0xde ad be ef)");
+    });
+
+    test("uses locale separators and strips them on inject", () => {
+        calc.processExpression("GROUP LOCALE de-DE");
+        expect(calc.getLastLog()).toBe('Digit grouping on: groups of 3 (4 in binary and hex) separated by ., decimal separator ","');
+        const output = calc.formatResult(new Rational(1234567n, 8n));
+        expect(output).toBe("154.320,875 (1234567/8)");
+        expect(calc.extractValue(output)).toBe("154320.875");
+    });
+
+    test("rejects separators that would clash", () => {
+        calc.processExpression("GROUP SEP .");
+        expect(calc.getLastLog()).toBe('Error: GROUP SEP must differ from the decimal separator "."');
+        calc.processExpression("GROUP SEP 5");
+        expect(calc.getLastLog()).toBe("Error: GROUP SEP must be a single punctuation character or SPACE, THIN, NBSP, NNBSP");
+        expect(calc.digitGrouping).toBe(false);
+    });
+
+    test("is saved with the session", () => {
+        calc.processExpression("GROUP SEP THIN");
+        const script = calc.buildSessionScript();
+        expect(script).toContain("GROUP SEP THIN");
+        expect(script).toContain("GROUP ON");
+        calc.resetSessionState();
+        expect(calc.digitGrouping).toBe(false);
+        calc.applySessionState({ digitGrouping: true, groupSeparator: " " });
+        expect(calc.formatResult(new Integer(1234n))).toBe("1 234");
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational } from "@ratmath/core";
+import { egyptianFractions, formatEgyptianSum } from "../src/egyptian.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+const decompose = (a, b, method, options) => formatEgyptianSum(egyptianFractions(new Rational(a, b), method, options));
+
+describe("Egyptian fractions", () => {
+    test("greedy takes the largest unit fraction each time", () => {
+        expect(decompose(6, 7, "greedy")).toBe("1/2 + 1/3 + 1/42");
+        expect(decompose(4, 13, "greedy")).toBe("1/4 + 1/18 + 1/468");
+        expect(decompose(7, 3, "greedy")).toBe("2 + 1/3");
+        expect(decompose(3, 1, "greedy")).toBe("3");
+    });
+
+    test("binary remainder keeps denominators small", () => {
+        expect(decompose(6, 7, "binary")).toBe("1/2 + 1/4 + 1/14 + 1/28");
+        expect(decompose(5, 121, "binary")).toBe("1/32 + 1/128 + 1/484 + 1/7744 + 1/15488");
+    });
+
+    test("shortest finds the fewest terms with the smallest denominators", () => {
+        expect(decompose(5, 121, "shortest")).toBe("1/33 + 1/121 + 1/363");
+        expect(decompose(4, 13, "shortest")).toBe("1/4 + 1/26 + 1/52");
+        expect(decompose(99, 100, "shortest")).toBe("1/2 + 1/4 + 1/5 + 1/25");
+        expect(() => decompose(5, 121, "shortest", { maxDenominator: 100n })).toThrow("search limit");
+    });
+
+    test("every decomposition sums back to the value", () => {
+        for (const method of ["greedy", "binary", "shortest"]) {
+            const { whole, denominators } = egyptianFractions(new Rational(17, 19), method);
+            const sum = denominators.reduce((total, d) => total.add(new Rational(1n, d)), new Rational(whole));
+            expect(sum.equals(new Rational(17, 19))).toBe(true);
+            expect(new Set(denominators).size).toBe(denominators.length);
+        }
+    });
+
+    test("rejects non-positive values and unknown methods", () => {
+        expect(() => decompose(-1, 2, "greedy")).toThrow("positive");
+        expect(() => decompose(1, 2, "fastest")).toThrow("Unknown Egyptian fraction method");
+    });
+});
+
+describe("WebCalc: EGYPT output mode", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+    });
+
+    test("shows fractions as sums of unit fractions", () => {
+        calc.processExpression("EGYPT");
+        expect(calc.getLastLog()).toBe("Output mode set to Egyptian fractions (greedy)");
+        calc.processExpression("6/7");
+        expect(calc.getLastLog()).toBe("1/2 + 1/3 + 1/42 (6/7)");
+        calc.processExpression("-2/3");
+        expect(calc.getLastLog()).toBe("-(1/2 + 1/6) (-2/3)");
+
+        calc.processExpression("EGYPT binary");
+        calc.processExpression("6/7");
+        expect(calc.getLastLog()).toBe("1/2 + 1/4 + 1/14 + 1/28 (6/7)");
+        expect(calc.buildSessionScript()).toContain("EGYPT BINARY");
+
+        calc.processExpression("EGYPT quick");
+        expect(calc.getLastLog()).toContain("Unknown Egyptian fraction method");
+    });
+
+    test("injects the sum and list elements as input", () => {
+        expect(calc.extractValue("1/2 + 1/3 + 1/42 (6/7)")).toBe("1/2 + 1/3 + 1/42");
+        expect(calc.extractValue("-(1/2 + 1/6) (-2/3)")).toBe("-(1/2 + 1/6)");
+        const list = { type: "sequence", values: [new Rational(1, 2), new Rational(1, 3)] };
+        expect(calc.extractValue("[1/2, 1/3]", list)).toBe("1/2, 1/3");
+    });
+
+    test("Egypt(x) returns the unit fractions as exact values", () => {
+        const egypt = calc.variableManager.getFunctions().get("Egypt").handler;
+        const result = egypt(new Rational(6, 7));
+        expect(result.type).toBe("sequence");
+        expect(result.values.map(String)).toEqual(["1/2", "1/3", "1/42"]);
+        expect(egypt(new Rational(5, 121), { type: "string", value: "shortest" }).values.map(String))
+            .toEqual(["1/33", "1/121", "1/363"]);
+        expect(() => egypt(new Rational(5, 121), "shortest", new Rational(1, 2))).toThrow("size limit");
+    });
+
+    test("Egypt(x) is still defined after CLEAR", () => {
+        calc.processExpression("x = 1");
+        calc.clearHistory();
+        expect(calc.variableManager.getVariables().has("x")).toBe(false);
+        expect(calc.variableManager.getFunctions().has("Egypt")).toBe(true);
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational, RationalInterval, Integer } from "@ratmath/core";
+import { formatEngineering } from "../src/engineering.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("Engineering notation", () => {
+    test("uses exponents that are multiples of three", () => {
+        expect(formatEngineering(new Rational(4700))).toBe("4.7E3");
+        expect(formatEngineering(new Rational(-47, 1000000))).toBe("-47E-6");
+        expect(formatEngineering(new Rational(123456789))).toBe("123.456789E6");
+        expect(formatEngineering(new Rational(3))).toBe("3E0");
+        expect(formatEngineering(new Rational(0))).toBe("0");
+    });
+
+    test("keeps the repeating-digit marker", () => {
+        expect(formatEngineering(new Rational(5, 12))).toBe("416.#6E-3");
+        expect(formatEngineering(new Rational(1, 7))).toBe("142.#857142E-3");
+        expect(formatEngineering(new Rational(1, 7), { showPeriodInfo: true })).toBe("142.#857142E-3 {period: 6}");
+    });
+
+    test("cuts the mantissa at the requested precision", () => {
+        expect(formatEngineering(new Rational(1, 7), { precision: 5 })).toBe("142.85...E-3");
+        expect(formatEngineering(new Rational(1, 65537))).toBe("15.25855623...E-6");
+    });
+
+    test("writes SI prefixes where one exists", () => {
+        const prefixed = (value) => formatEngineering(value, { prefixes: true });
+        expect(prefixed(new Rational(4700))).toBe("4.7 k");
+        expect(prefixed(new Rational(5, 12))).toBe("416.#6 m");
+        expect(prefixed(new Rational(-47, 1000000))).toBe("-47 µ");
+        expect(prefixed(new Rational(999))).toBe("999");
+        expect(prefixed(new Rational(10n ** 40n))).toBe("10E39");
+    });
+});
+
+describe("WebCalc: ENG output mode", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+        calc.processExpression("ENG");
+    });
+
+    test("applies to rationals and intervals", () => {
+        expect(calc.getLastLog()).toBe("Output mode set to engineering notation");
+        calc.processExpression("5/12");
+        expect(calc.getLastLog()).toBe("416.#6E-3 (5/12)");
+
+        calc.processExpression("SIPREFIX ON");
+        expect(calc.formatInterval(new RationalInterval(new Rational(1, 2000), new Rational(3, 2)))).toBe(
+            "500 µ:1.5 (1/2000:3/2)",
+        );
+    });
+
+    test("applies to integers", () => {
+        const big = new Integer(4700000n);
+        expect(calc.formatInteger(big)).toBe("4.7E6 (4700000)");
+        calc.processExpression("SIPREFIX ON");
+        expect(calc.formatInteger(big)).toBe("4.7 M (4700000)");
+    });
+
+    test("injects the exact value, with or without SI prefixes", () => {
+        calc.processExpression("5/12");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("5/12");
+        calc.processExpression("4700");
+        expect(calc.getLastLog()).toBe("4.7E3 (4700)");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("4700");
+
+        calc.processExpression("SIPREFIX ON");
+        calc.processExpression("4700");
+        expect(calc.getLastLog()).toBe("4.7 k (4700)");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("4700");
+        calc.processExpression("1/2000:3/2");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("1/2000:3/2");
+    });
+
+    test("follows SCIPREC and is saved with the session", () => {
+        calc.processExpression("SCIPREC 4");
+        calc.processExpression("SIPREFIX");
+        calc.processExpression("1/7");
+        expect(calc.getLastLog()).toBe("142.8... m (1/7)");
+
+        expect(calc.buildSessionScript()).toContain("\nENG\n");
+        expect(calc.buildSessionScript()).toContain("SIPREFIX ON");
+        expect(calc.getSessionState().siPrefixes).toBe(true);
+    });
+});
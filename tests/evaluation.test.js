@@ -0,0 +1,201 @@
+import { describe, test, expect, beforeEach, spyOn } from "bun:test";
+import { useBrowserGlobals, TestWebCalculator, ListeningWebCalculator } from "./helpers/web-calculator.js";
+import { WebCalculator } from "../src/web-calc.js";
+import { serializeValue } from "../src/serialization.js";
+import { Rational } from "@ratmath/core";
+
+useBrowserGlobals();
+
+// Stands in for the Web Worker: records what the page posts to it
+class FakeEvaluator {
+    constructor() {
+        this.posted = [];
+        this.terminated = false;
+    }
+    postMessage(message) { this.posted.push(message); }
+    terminate() { this.terminated = true; }
+}
+
+describe("WebCalc: Evaluation time limit", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+    });
+
+    test("TIMEOUT shows, sets and disables the limit", () => {
+        calc.processExpression("TIMEOUT");
+        expect(calc.getLastLog()).toBe("Current evaluation time limit: 30 seconds");
+
+        calc.processExpression("TIMEOUT 5");
+        expect(calc.timeLimit).toBe(5);
+        expect(calc.buildSessionScript()).toContain("TIMEOUT 5");
+
+        calc.processExpression("TIMEOUT OFF");
+        expect(calc.timeLimit).toBe(0);
+        expect(calc.getLastLog()).toBe("Evaluation time limit disabled");
+
+        calc.processExpression("TIMEOUT soon");
+        expect(calc.getLastLog()).toContain("Error: TIMEOUT must be");
+    });
+
+    test("loops evaluated on the main thread stop at the limit with partial progress", () => {
+        calc.timeLimit = 0.05;
+        calc.processExpression("SUM[i](i,1,100000000)");
+        expect(calc.getLastLog()).toContain("SUM computation interrupted at i=");
+        expect(calc.getLastLog()).toContain("time limit of 0.05s reached");
+    });
+});
+
+describe("WebCalc: Worker evaluation", () => {
+    let calc;
+    let evaluator;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        evaluator = new FakeEvaluator();
+        calc.evaluator = evaluator;
+    });
+
+    test("sends the session state and applies definitions from the reply", () => {
+        calc.processExpression("x = 1/3");
+        expect(evaluator.posted.length).toBe(1);
+        const request = evaluator.posted[0];
+        expect(request.input).toBe("x = 1/3");
+        expect(request.state.outputMode).toBe("BOTH");
+        expect(request.state.history).toBeUndefined();
+
+        // Inputs wait for the running evaluation
+        calc.processExpression("x + 1");
+        expect(evaluator.posted.length).toBe(1);
+
+        calc.handleEvaluatorMessage({
+            type: "result",
+            id: request.id,
+            varResult: { type: "assignment", message: "x = 1/3" },
+            state: { variables: [["x", serializeValue(new Rational(1, 3))]], functions: [] },
+        });
+        expect(calc.getLastLog()).toBe("x = 1/3");
+        expect(calc.variableManager.getVariables().get("x").toString()).toBe("1/3");
+
+        // The queued input runs next, with the new variable in its state
+        expect(evaluator.posted.length).toBe(2);
+        expect(evaluator.posted[1].state.variables[0][0]).toBe("x");
+
+        calc.handleEvaluatorMessage({
+            type: "result",
+            id: evaluator.posted[1].id,
+            varResult: { type: "expression", result: serializeValue(new Rational(4, 3)) },
+            output: "1.#3 (1 1/3)",
+        });
+        expect(calc.getLastLog()).toBe("1.#3 (1 1/3)");
+        expect(calc.lastResult.toString()).toBe("4/3");
+        expect(calc.evaluation).toBeNull();
+    });
+
+    test("Stop terminates the worker and reports the last progress", () => {
+        calc.processExpression("SUM[i](i,1,10^9)");
+        const { id } = evaluator.posted[0];
+        calc.handleEvaluatorMessage({
+            type: "progress",
+            id,
+            progress: { keyword: "SUM", variable: "i", i: "501", end: "1000000000", iterationCount: 501, value: "125250" },
+        });
+
+        calc.stopEvaluation();
+        expect(evaluator.terminated).toBe(true);
+        expect(calc.getLastLog()).toBe(
+            "SUM computation interrupted at i=501 (501 iterations completed, current value: 125250)",
+        );
+        expect(calc.outputHistory[calc.outputHistory.length - 1].isError).toBe(true);
+
+        // A late reply from the stopped worker is ignored
+        calc.handleEvaluatorMessage({ type: "result", id, varResult: { type: "expression" }, output: "late" });
+        expect(calc.getLastLog()).not.toBe("late");
+    });
+
+    test("runs CONVERT and PERIOD in the worker and shows their output", () => {
+        calc.processExpression("PERIOD 1/7");
+        expect(evaluator.posted[0].command).toEqual({ name: "PERIOD", args: "1/7" });
+        calc.processExpression("1+1");
+        expect(evaluator.posted.length).toBe(1);
+
+        calc.handleEvaluatorMessage({ type: "result", id: evaluator.posted[0].id, output: "1/7 in base 10" });
+        expect(calc.logs).toContain("1/7 in base 10");
+        expect(calc.resultCount).toBe(0);
+        expect(evaluator.posted[1].input).toBe("1+1");
+    });
+});
+
+describe("WebCalc: Stopping from the page", () => {
+    let calc;
+    let workers;
+
+    beforeEach(() => {
+        workers = [];
+        window.Worker = global.Worker = class extends FakeEvaluator {
+            constructor() {
+                super();
+                workers.push(this);
+            }
+        };
+        calc = new ListeningWebCalculator();
+        calc.processExpression("SUM[i](i,1,10^9)");
+        calc.processExpression("2 + 3");
+    });
+
+    const expectOnlyFirstStopped = () => {
+        expect(workers.length).toBe(2);
+        expect(workers[0].terminated).toBe(true);
+        expect(workers[1].terminated).toBe(false);
+        expect(workers[1].posted.map((m) => m.input)).toEqual(["2 + 3"]);
+        expect(calc.logs.filter((log) => log.includes("stopped by user")).length).toBe(1);
+    };
+
+    test("the Stop button stops the running input and starts the queued one", () => {
+        expect(workers[0].posted.map((m) => m.input)).toEqual(["SUM[i](i,1,10^9)"]);
+        calc.stopButton.dispatch("click");
+        expectOnlyFirstStopped();
+    });
+
+    test("Escape stops the running input and starts the queued one", () => {
+        document.dispatch("keydown", { key: "Escape" });
+        expectOnlyFirstStopped();
+    });
+});
+
+describe("Evaluation worker", () => {
+    test("only rebuilds its calculator when more than the variables changed", async () => {
+        const replies = [];
+        global.self = { postMessage: (message) => replies.push(message) };
+        await import("../src/eval-worker.js");
+        const send = async (input, state) => {
+            await self.onmessage({ data: { id: replies.length, input, state, timeLimit: 0 } });
+            return replies[replies.length - 1];
+        };
+
+        const calc = new TestWebCalculator();
+        calc.processExpression("F(y) -> y*2");
+        const { history, outputHistory, ...state } = calc.getSessionState();
+        const reset = spyOn(WebCalculator.prototype, "resetSessionState");
+
+        expect((await send("F(3)", state)).output).toBe("6");
+        expect(reset).toHaveBeenCalledTimes(1);
+
+        const withX = { ...state, variables: [["x", serializeValue(new Rational(1, 2))]] };
+        expect((await send("F(x)", withX)).output).toBe("1");
+        expect(reset).toHaveBeenCalledTimes(1);
+
+        // Variables the page does not have are gone
+        expect((await send("x", state)).varResult.type).toBe("error");
+        expect(reset).toHaveBeenCalledTimes(1);
+
+        expect((await send("F(3)", { ...state, outputMode: "RAT" })).output).toBe("6");
+        expect(reset).toHaveBeenCalledTimes(2);
+        reset.mockRestore();
+
+        const convert = { data: { id: replies.length, command: { name: "CONVERT", args: "F(1/12)" }, state, timeLimit: 0 } };
+        await self.onmessage(convert);
+        expect(replies[replies.length - 1].output.split("\n")[3]).toBe("10    0.1#6      1          1       no");
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational } from "@ratmath/core";
+import { factorize, formatFactorization, isPrime } from "../src/factorization.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("Prime factorization", () => {
+    test("writes numerator and denominator with signed exponents", () => {
+        expect(formatFactorization(72n, 49n).text).toBe("2^3 · 3^2 · 7^-2");
+        expect(formatFactorization(-12n).text).toBe("-1 · 2^2 · 3");
+        expect(formatFactorization(1n).text).toBe("1");
+        expect(formatFactorization(0n).text).toBe("0");
+    });
+
+    test("splits large semiprimes with Pollard rho", () => {
+        expect(formatFactorization(1000000016000000063n).text).toBe("1000000007 · 1000000009");
+        expect(formatFactorization((2n ** 61n - 1n) * (2n ** 31n - 1n), 3n).text)
+            .toBe("3^-1 · 2147483647 · 2305843009213693951");
+        expect(formatFactorization((10n ** 20n + 39n) ** 2n).text).toBe("100000000000000000039^2");
+    });
+
+    test("reports cofactors it could not split within the effort cap", () => {
+        const n = 2n * 1000000016000000063n;
+        const { primes, cofactors } = factorize(n, 0);
+        expect([...primes]).toEqual([[2n, 1]]);
+        expect([...cofactors]).toEqual([[1000000016000000063n, 1]]);
+        expect(formatFactorization(n, 1n, 0)).toEqual({ text: "2 · [1000000016000000063]", complete: false });
+    });
+
+    test("recognises primes", () => {
+        expect(isPrime(2n ** 127n - 1n)).toBe(true);
+        expect(isPrime(2n ** 128n + 1n)).toBe(false);
+    });
+});
+
+describe("WebCalc: FACT output mode", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+    });
+
+    test("shows rationals and integers factored", () => {
+        calc.processExpression("FACT");
+        expect(calc.getLastLog()).toBe("Output mode set to prime factorization (effort 100000)");
+        calc.processExpression("72/49");
+        expect(calc.getLastLog()).toBe("2^3 · 3^2 · 7^-2 (72/49)");
+        expect(calc.formatResult(new Rational(7))).toBe("7");
+        calc.processExpression("FACT 0");
+        expect(calc.formatResult(new Rational(1000000016000000063n, 4n)))
+            .toBe("2^-2 · [1000000016000000063] (1000000016000000063/4) {bracketed cofactors not factored}");
+        expect(calc.buildSessionScript()).toContain("FACT 0");
+    });
+
+    test("injects the value, not the first factor", () => {
+        calc.processExpression("FACT");
+        calc.processExpression("72");
+        expect(calc.getLastLog()).toBe("2^3 · 3^2 (72)");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("72");
+        calc.processExpression("-72/49");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("-72/49");
+
+        // Other input bases get the value marked as decimal
+        calc.processExpression("BASE 16");
+        expect(calc.extractValue("2^3 · 3^2 (72)", new Rational(72))).toBe("0d72");
+    });
+
+    test("rejects a bad effort", () => {
+        calc.processExpression("FACT lots");
+        expect(calc.getLastLog()).toBe("Error: FACT effort must be a non-negative whole number of iterations");
+        expect(calc.outputMode).toBe("BOTH");
+    });
+});
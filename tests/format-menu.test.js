@@ -0,0 +1,42 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+import { Rational, RationalInterval } from "@ratmath/core";
+
+useBrowserGlobals();
+
+describe("WebCalc: Per-output formats", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+    });
+
+    test("re-renders a result without changing the global mode", () => {
+        const value = new Rational(7, 3);
+        expect(calc.formatResultAs(value, { outputMode: "RAT", mixedDisplay: false })).toBe("7/3");
+        expect(calc.formatResultAs(value, { outputMode: "RAT", mixedDisplay: true })).toBe("2..1/3");
+        expect(calc.formatResultAs(value, { outputMode: "DECI" })).toBe("2.#3 {period: 1}");
+
+        expect(calc.outputMode).toBe("BOTH");
+        expect(calc.mixedDisplay).toBe(true);
+        expect(calc.outputBases.length).toBe(1);
+    });
+
+    test("offers every configured base once", () => {
+        calc.processExpression("[20] = 0123456789abcdefghij");
+        calc.processExpression("BASE 10->[16,20]");
+
+        const labels = calc.getFormatChoices().map((choice) => choice.label);
+        expect(labels).toContain("Continued fraction");
+        expect(labels.filter((label) => label === "Base 16").length).toBe(1);
+        expect(labels).toContain("Base 20");
+        expect(labels).toContain("Base 2");
+        expect(labels).not.toContain("Base 10");
+    });
+
+    test("shows a base choice for an interval", () => {
+        const interval = new RationalInterval(new Rational(1, 4), new Rational(1, 2));
+        const hex = calc.getFormatChoices().find((choice) => choice.label === "Base 16");
+        expect(calc.formatResultAs(interval, hex.options)).toContain("0x0.4:0x0.8");
+    });
+});
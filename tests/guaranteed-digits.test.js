@@ -0,0 +1,90 @@
+import { describe, test, expect } from "bun:test";
+import { Rational, RationalInterval } from "@ratmath/core";
+import { formatGuaranteedDigits, formatConciseUncertainty, expandConciseUncertainty } from "../src/guaranteed-digits.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+const interval = (low, high) => new RationalInterval(new Rational(low), new Rational(high));
+
+describe("Guaranteed digits", () => {
+    test("shows shared digits followed by the differing tail", () => {
+        expect(formatGuaranteedDigits(interval("314159265358979/100000000000000", "314159265358980/100000000000000")))
+            .toBe("3.141592653589[79:80]");
+        expect(formatGuaranteedDigits(interval("12339/10000", "12351/10000"))).toBe("1.23[39:51]");
+        expect(formatGuaranteedDigits(interval("-31416/10000", "-31415/10000"))).toBe("-3.141[50:60]");
+    });
+
+    test("rounds the tail outward", () => {
+        expect(formatGuaranteedDigits(interval("355/113", "22/7"))).toBe("3.14[15:29]");
+    });
+
+    test("gives up when the endpoints do not share an integer part", () => {
+        expect(formatGuaranteedDigits(interval("9999/10000", "10001/10000"))).toBeNull();
+        expect(formatGuaranteedDigits(interval("-1/1000", "1/1000"))).toBeNull();
+        expect(formatGuaranteedDigits(interval("1/3", "1/3"))).toBeNull();
+    });
+
+    test("writes a midpoint with an uncertainty in its last digits", () => {
+        expect(formatConciseUncertainty(interval("12339/10000", "12351/10000"))).toBe("1.2345(6)");
+        expect(formatConciseUncertainty(interval("-31416/10000", "-31415/10000"))).toBe("-3.14155(5)");
+        expect(formatConciseUncertainty(interval(123, 127))).toBe("125(2)");
+        // The midpoint 5/12 is rounded, so the uncertainty grows to keep the whole interval
+        expect(formatConciseUncertainty(interval("1/3", "1/2"))).toBe("0.42(9)");
+    });
+
+    test("expands the uncertainty notation into an interval", () => {
+        expect(expandConciseUncertainty("1.2345(6) * 2")).toBe("(12339/10000:12351/10000) * 2");
+        expect(expandConciseUncertainty("x = -0.5(2)")).toBe("x = (-7/10:-3/10)");
+        expect(expandConciseUncertainty("2 - 1.5(2)")).toBe("2 - (13/10:17/10)");
+        expect(expandConciseUncertainty("F2(3) + Sin(1) + 0d1.5(2)")).toBe("F2(3) + Sin(1) + 0d1.5(2)");
+        // Without a decimal point these are products
+        expect(expandConciseUncertainty("3*4(5) + 2(3)")).toBe("3*4(5) + 2(3)");
+    });
+});
+
+describe("WebCalc: Guaranteed-digits output", () => {
+    test("DIGITS and UNCERT display intervals in the compact forms", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("DIGITS");
+        expect(calc.getLastLog()).toBe("Output mode set to guaranteed digits (intervals)");
+        calc.processExpression("1.2339:1.2351");
+        expect(calc.getLastLog()).toBe("1.23[39:51]");
+        calc.processExpression("1/4");
+        expect(calc.getLastLog()).toBe("0.25 (1/4)");
+
+        calc.processExpression("UNCERT");
+        calc.processExpression("1.2339:1.2351");
+        expect(calc.getLastLog()).toBe("1.2345(6)");
+    });
+
+    test("inject the whole interval, not its shared digits", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("DIGITS");
+        calc.processExpression("3.1415926535:3.1415926536");
+        expect(calc.getLastLog()).toBe("3.141592653[50:60]");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("6283185307/2000000000:3926990817/1250000000");
+
+        calc.processExpression("UNCERT");
+        calc.processExpression("1.2339:1.2351");
+        expect(calc.getLastLog()).toBe("1.2345(6)");
+        expect(calc.extractValue(calc.getLastLog(), calc.lastResult)).toBe("12339/10000:12351/10000");
+    });
+
+    test("both notations are accepted as input", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("RAT");
+        calc.processExpression("1.2345(6) * 2");
+        expect(calc.getLastLog()).toBe("12339/5000:12351/5000");
+        calc.processExpression("1.23[39:51]");
+        expect(calc.getLastLog()).toBe("12339/10000:12351/10000");
+    });
+
+    test("the uncertainty notation is only read in base 10", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("BASE 16");
+        expect(calc.expandInput("1.8(3)")).toBe("1.8(3)");
+        calc.processExpression("BASE 10");
+        expect(calc.expandInput("1.8(3)")).toBe("(3/2:21/10)");
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Shared fixture for WebCalculator tests
+ *
+ * All test files run in one global scope, so useBrowserGlobals() gives every
+ * test of a file its own minimal document and window and puts back whatever
+ * the test replaced (fetch, localStorage, ...) once it finishes.
+ * TestWebCalculator skips the DOM setup and records each output in logs;
+ * ListeningWebCalculator also runs the page's event listeners.
+ */
+
+import { beforeEach, afterEach } from "bun:test";
+import { WebCalculator } from "../../src/web-calc.js";
+
+// Globals a test may replace; each is restored after every test
+const SHARED_GLOBALS = ["document", "window", "self", "fetch", "localStorage", "navigator", "Worker"];
+
+// Records listeners so tests can fire events with dispatch(type, event)
+function listenable(target) {
+    const listeners = {};
+    target.addEventListener = (type, listener) => { (listeners[type] || (listeners[type] = [])).push(listener); };
+    target.dispatch = (type, event = {}) => {
+        for (const listener of listeners[type] || []) listener({ target, preventDefault: () => { }, ...event });
+    };
+    return target;
+}
+
+function createClassList() {
+    const names = new Set();
+    return {
+        add: (...tokens) => tokens.forEach((token) => names.add(token)),
+        remove: (...tokens) => tokens.forEach((token) => names.delete(token)),
+        toggle: (token, force = !names.has(token)) => (force ? names.add(token) : names.delete(token), force),
+        contains: (token) => names.has(token),
+    };
+}
+
+function createElement(tag) {
+    let text = "";
+    return listenable({
+        tagName: tag.toUpperCase(),
+        className: "",
+        innerHTML: "",
+        dataset: {},
+        style: {},
+        children: [],
+        classList: createClassList(),
+        get textContent() { return text; },
+        set textContent(value) {
+            text = String(value);
+            this.innerHTML = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        },
+        appendChild(child) { this.children.push(child); return child; },
+        setAttribute: () => { },
+    });
+}
+
+// The page's elements are created on first lookup, as inputs: they have a value and focus
+function createDocument() {
+    const elements = new Map();
+    return listenable({
+        getElementById(id) {
+            if (!elements.has(id)) {
+                elements.set(id, Object.assign(createElement("div"), {
+                    id,
+                    value: "",
+                    selectionStart: 0,
+                    focus: () => { },
+                    setSelectionRange(start) { this.selectionStart = start; },
+                }));
+            }
+            return elements.get(id);
+        },
+        createElement,
+        body: createElement("body"),
+    });
+}
+
+/**
+ * Install a fresh document and window before each test of the calling file
+ * @param {Function} [makeGlobals] - Returns further globals to install, or replacements
+ */
+function useBrowserGlobals(makeGlobals = () => ({})) {
+    let saved;
+    beforeEach(() => {
+        saved = SHARED_GLOBALS.map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+        Object.assign(globalThis, { document: createDocument(), window: { innerWidth: 1024 } }, makeGlobals());
+    });
+    afterEach(() => {
+        for (const [name, descriptor] of saved) {
+            if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+            else delete globalThis[name];
+        }
+    });
+}
+
+// Minimal in-memory stand-in for window.localStorage
+class MemoryStorage {
+    constructor() { this.items = new Map(); }
+    get length() { return this.items.size; }
+    key(i) { return [...this.items.keys()][i] ?? null; }
+    getItem(k) { return this.items.has(k) ? this.items.get(k) : null; }
+    setItem(k, v) { this.items.set(k, String(v)); }
+    removeItem(k) { this.items.delete(k); }
+}
+
+class TestWebCalculator extends WebCalculator {
+    initializeElements() {
+        this.inputElement = {
+            value: "",
+            rows: 1,
+            selectionStart: 0,
+            focus: () => { },
+            addEventListener: () => { },
+            setAttribute: () => { },
+            setSelectionRange(start) { this.selectionStart = start; },
+        };
+        this.outputHistoryElement = { appendChild: () => { }, scrollHeight: 0, scrollTop: 0, innerHTML: "" };
+    }
+    setupEventListeners() { }
+    displayWelcome() { }
+
+    // The constructor may already replay inputs, so the arrays are created on first use
+    addToOutput(input, output, isError, result, expression, resultNumber) {
+        if (!output) return;
+        (this.logs || (this.logs = [])).push(output);
+        (this.numbers || (this.numbers = [])).push(resultNumber ?? null);
+    }
+    getLastLog() { return this.logs ? this.logs[this.logs.length - 1] : undefined; }
+    clearLogs() { this.logs = []; }
+}
+
+// Uses the page's own elements and event listeners, on the document of useBrowserGlobals()
+class ListeningWebCalculator extends TestWebCalculator {
+    initializeElements() { WebCalculator.prototype.initializeElements.call(this); }
+    setupEventListeners() { WebCalculator.prototype.setupEventListeners.call(this); }
+}
+
+export { useBrowserGlobals, createDocument, MemoryStorage, TestWebCalculator, ListeningWebCalculator };
@@ -0,0 +1,51 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+import { Rational, RationalInterval } from "@ratmath/core";
+
+useBrowserGlobals();
+
+describe("WebCalc: Interval output modes", () => {
+    let calc;
+    const interval = new RationalInterval(new Rational(1, 3), new Rational(1, 2));
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+    });
+
+    test("SCI shows both endpoints in scientific notation", () => {
+        calc.processExpression("SCI");
+        calc.processExpression("SCIPREC 3");
+        expect(calc.formatInterval(interval)).toBe(
+            `${new Rational(1, 3).toScientificNotation(true, 3, false)}:5E-1 (1/3:1/2)`
+        );
+    });
+
+    test("CF shows endpoint continued fractions and their shared prefix", () => {
+        calc.processExpression("CF");
+        const close = new RationalInterval(new Rational(355, 113), new Rational(22, 7));
+        expect(calc.formatInterval(close)).toBe("3.~7~16:3.~7 (355/113:22/7)");
+        expect(calc.sharedContinuedFractionPrefix(close)).toBe("3.~7");
+        expect(calc.sharedContinuedFractionPrefix(interval)).toBe("0.");
+
+        const display = calc.highlightSharedContinuedFraction(calc.formatInterval(close), close);
+        expect(display).toContain('<mark class="cf-shared" title="Shared by both endpoints">3.~7</mark>~16:');
+        expect(display).toContain(':<mark class="cf-shared" title="Shared by both endpoints">3.~7</mark> (');
+    });
+
+    test("PM shows midpoint ± radius", () => {
+        calc.processExpression("PM");
+        expect(calc.getLastLog()).toBe("Output mode set to midpoint ± radius (intervals)");
+        expect(calc.formatInterval(interval)).toBe("0.41#6 ± 0.08#3 (5/12 ± 1/12)");
+        expect(calc.formatInterval(new RationalInterval(new Rational(1), new Rational(3)))).toBe("2 ± 1");
+
+        calc.processExpression("1/4");
+        expect(calc.getLastLog()).toBe("0.25 (1/4)");
+    });
+
+    test("the format menu offers midpoint ± radius only for intervals", () => {
+        const labels = (result) => calc.getFormatChoices(result).map((choice) => choice.label);
+        expect(labels(interval)).toContain("Midpoint ± radius");
+        expect(labels(new Rational(1, 3))).not.toContain("Midpoint ± radius");
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational, RationalInterval } from "@ratmath/core";
+import { simplestRational, intervalInfo } from "../src/interval-info.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+const interval = (a, b, c, d) => new RationalInterval(new Rational(a, b), new Rational(c, d));
+
+describe("Interval diagnostics", () => {
+    test("finds the simplest rational inside an interval", () => {
+        expect(simplestRational(interval(314159n, 100000n, 314160n, 100000n)).toString()).toBe("355/113");
+        expect(simplestRational(interval(-355n, 113n, -314n, 100n)).toString()).toBe("-157/50");
+        expect(simplestRational(interval(-1n, 3n, 1n, 2n)).toString()).toBe("0");
+        expect(simplestRational(interval(5n, 2n, 11n, 2n)).toString()).toBe("3");
+        expect(simplestRational(interval(22n, 7n, 22n, 7n)).toString()).toBe("22/7");
+    });
+
+    test("reports width, midpoint, radius and containment", () => {
+        const info = intervalInfo(interval(5n, 2n, 11n, 2n));
+        expect(info.width.toString()).toBe("3");
+        expect(info.midpoint.toString()).toBe("4");
+        expect(info.radius.toString()).toBe("3/2");
+        expect(info.relativeWidth.toString()).toBe("3/4");
+        expect(info.containsZero).toBe(false);
+        expect(info.integers).toEqual({ first: 3n, last: 5n });
+        expect(intervalInfo(interval(-1n, 1n, 1n, 1n)).relativeWidth).toBe(null);
+    });
+});
+
+describe("WebCalc: INFO command", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+        calc.processExpression("RAT");
+    });
+
+    test("reports on the last result, variables and result references", () => {
+        calc.processExpression("1/3:1/2");
+        calc.processExpression("INFO");
+        expect(calc.getLastLog()).toBe([
+            "Width: 1/6",
+            "Midpoint: 5/12",
+            "Radius: 1/12",
+            "Relative width: 2/5",
+            "Contains zero: no",
+            "Integers: none",
+            "Simplest rational: 1/2",
+        ].join("\n"));
+        calc.processExpression("x = -1:2");
+        calc.processExpression("INFO x");
+        expect(calc.getLastLog()).toContain("Integers: -1 to 2 (4 integers)");
+        calc.processExpression("INFO out[1]");
+        expect(calc.getLastLog()).toContain("Simplest rational: 1/2");
+    });
+
+    test("rejects values that are not intervals", () => {
+        calc.processExpression("INFO");
+        expect(calc.getLastLog()).toBe("Error: No result yet");
+        calc.processExpression("1/7");
+        calc.processExpression("INFO");
+        expect(calc.getLastLog()).toBe("Error: INFO reports on intervals; the last result is not an interval");
+        calc.processExpression("INFO nothing");
+        expect(calc.getLastLog()).toBe("Error: 'nothing' is not a variable or result reference (e.g. INFO out[3])");
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational, RationalInterval } from "@ratmath/core";
+import { MixedRadixSystem, PRESET_MIXED_RADIX } from "../src/mixed-radix.js";
+import { serializeBase, deserializeBase } from "../src/serialization.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+const preset = (name) => PRESET_MIXED_RADIX.find((system) => system.name === name);
+
+describe("Mixed-radix systems", () => {
+    test("write values in the first unit", () => {
+        expect(preset("hms").format(new Rational(151n, 100n))).toBe("1h 30m 36s");
+        expect(preset("hms").format(new Rational(-3n, 2n))).toBe("-1h 30m 0s");
+        expect(preset("dhms").format(new Rational(1n, 3n))).toBe("0d 8h 0m 0s");
+        expect(preset("dms").format(new Rational(12505n, 1000n))).toBe("12° 30′ 18″");
+        expect(preset("ftin").format(new Rational(1015n, 192n))).toBe("5ft 3in 7/16");
+    });
+
+    test("end with the exact remainder when the value does not terminate", () => {
+        expect(preset("hms").format(new Rational(1n, 7n))).toBe("0h 8m 34s + 2/7s");
+    });
+
+    test("parse and validate definitions", () => {
+        const pounds = MixedRadixSystem.parse("LBS", "lb 16 oz");
+        expect(pounds.name).toBe("lbs");
+        expect(pounds.definition).toBe("lb 16 oz");
+        expect(pounds.format(new Rational(11n, 4n))).toBe("2lb 12oz");
+        expect(() => MixedRadixSystem.parse("ab", "a b c")).toThrow("units separated by radices");
+        expect(() => MixedRadixSystem.parse("ab", "a 1 b")).toThrow("at least 2");
+        expect(() => MixedRadixSystem.parse("x", "a 2 b")).toThrow("Mixed-radix name 'x'");
+    });
+
+    test("serialize with the other bases", () => {
+        const restored = deserializeBase(serializeBase(preset("dms")));
+        expect(restored).toBeInstanceOf(MixedRadixSystem);
+        expect(restored.equals(preset("dms"))).toBe(true);
+    });
+});
+
+describe("WebCalc: RADIX command", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+        calc.processExpression("RAT");
+    });
+
+    test("adds mixed-radix output next to the other bases", () => {
+        calc.processExpression("RADIX hms");
+        expect(calc.getLastLog()).toBe("Output bases: Decimal (base 10), hms (h 60 m 60 s)");
+        calc.processExpression("151/100");
+        expect(calc.getLastLog()).toBe("151/100 (1h 30m 36s)");
+        const interval = new RationalInterval(new Rational(1n), new Rational(3n, 2n));
+        expect(calc.formatResult(interval)).toBe("1:3/2 (1h 0m 0s : 1h 30m 0s)");
+        calc.processExpression("RADIX OFF");
+        expect(calc.formatResult(new Rational(3n, 2n))).toBe("3/2");
+    });
+
+    test("defines systems that are saved with the session", () => {
+        calc.processExpression("RADIX lbs = lb 16 oz");
+        expect(calc.getLastLog()).toBe("Defined mixed radix lbs: lb 16 oz");
+        calc.processExpression("BASE 10->[10,radix:lbs]");
+        expect(calc.formatResult(new Rational(11n, 4n))).toBe("11/4 (2lb 12oz)");
+
+        const script = calc.buildSessionScript();
+        expect(script).toContain("RADIX lbs = lb 16 oz");
+        expect(script).toContain("BASE 10->[10,radix:lbs]");
+
+        const fresh = new TestWebCalculator();
+        fresh.applySessionState(calc.getSessionState());
+        expect(fresh.mixedRadixSystems.has("lbs")).toBe(true);
+        expect(fresh.outputBases[1].definition).toBe("lb 16 oz");
+    });
+
+    test("leaves names of three characters to digit bases", () => {
+        calc.processExpression("BASE dms");
+        expect(calc.getLastLog()).toBe("Base set to Custom Base dms (base 3)");
+    });
+
+    test("rejects mixed-radix input bases and unknown names", () => {
+        calc.processExpression("BASE radix:hms");
+        expect(calc.getLastLog()).toBe("Error: Mixed-radix system 'hms' can only be used for output (e.g. BASE 10->[10,radix:hms])");
+        calc.processExpression("BASE 10->[10,radix:furlongs]");
+        expect(calc.getLastLog()).toBe("Error parsing output base(s): Unknown mixed-radix system 'furlongs' (RADIX lists them)");
+        calc.processExpression("RADIX furlongs");
+        expect(calc.getLastLog()).toBe("Error: Unknown mixed-radix system 'furlongs' (RADIX lists them)");
+        calc.processExpression("RADIX hms = h 100 m");
+        expect(calc.getLastLog()).toBe("Error: 'hms' is a built-in mixed-radix system and cannot be redefined");
+    });
+});
@@ -0,0 +1,212 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { useBrowserGlobals, MemoryStorage, TestWebCalculator } from "./helpers/web-calculator.js";
+import { SessionStore } from "../src/session-store.js";
+import { ModuleSandbox, ModuleBridge, moduleScope } from "../src/module-sandbox.js";
+import { serializeValue, deserializeValue } from "../src/serialization.js";
+import { Rational, Integer } from "@ratmath/core";
+
+useBrowserGlobals();
+
+const MODULE_URL = "https://modules.example.com/collatz.js";
+
+const MANIFEST = {
+    functions: {
+        Steps: { type: "js", params: ["n"], doc: "Collatz steps to reach 1" },
+        Twice: { type: "def", params: ["x"], body: "2*x" },
+    },
+    variables: { half: serializeValue(new Rational(1n, 2n)) },
+};
+
+// Stands in for the MessagePort to the sandbox worker
+class FakePort {
+    constructor() {
+        this.posted = [];
+        this.closed = false;
+        this.onmessage = null;
+    }
+    postMessage(message) { this.posted.push(message); }
+    close() { this.closed = true; }
+    reply(data) { this.onmessage({ data }); }
+}
+
+// A bridge whose page answers each call at once, with what answer returns for it
+function answeringBridge(answer) {
+    const calls = [];
+    const bridge = new ModuleBridge((call) => {
+        calls.push(call);
+        let outcome;
+        try {
+            outcome = { result: serializeValue(answer(...call.args.map((data) => data && deserializeValue(data)))) };
+        } catch (error) {
+            outcome = { error: error.message };
+        }
+        ModuleBridge.answer(call, outcome);
+    });
+    return { bridge, calls };
+}
+
+async function openSandbox(port) {
+    const sandbox = new ModuleSandbox(MODULE_URL, port);
+    const ready = sandbox.connect();
+    port.reply({ manifest: MANIFEST });
+    return ready;
+}
+
+describe("Module sandbox bridge", () => {
+    test("reports the manifest and registers functions written as expressions as they are", async () => {
+        const sandbox = await openSandbox(new FakePort());
+        const scope = moduleScope(MODULE_URL, sandbox.manifest, null);
+        expect(scope.functions.Twice).toEqual(MANIFEST.functions.Twice);
+        expect(scope.functions.Steps.params).toEqual(["n"]);
+        expect(scope.functions.Steps.doc).toBe("Collatz steps to reach 1");
+        expect(scope.variables.half.toString()).toBe("1/2");
+    });
+
+    test("fails to open when the module does not import", async () => {
+        const port = new FakePort();
+        const ready = new ModuleSandbox(MODULE_URL, port).connect();
+        port.reply({ error: "JS Import failed: Unexpected token" });
+        await expect(ready).rejects.toThrow("Unexpected token");
+        expect(port.closed).toBe(true);
+    });
+
+    test("only the arguments go to the sandbox", async () => {
+        const port = new FakePort();
+        const sandbox = await openSandbox(port);
+        const args = [serializeValue(new Integer(6n))];
+        const answer = sandbox.call("Steps", args);
+        expect(port.posted).toEqual([{ id: 1, name: "Steps", args }]);
+        port.reply({ id: 1, result: serializeValue(new Integer(8n)) });
+        expect(await answer).toEqual(serializeValue(new Integer(8n)));
+    });
+
+    test("proxies wait for the page to answer each call", () => {
+        const { bridge, calls } = answeringBridge((n) => new Integer(n.value + 2n));
+        const { Steps } = moduleScope(MODULE_URL, MANIFEST, bridge).functions;
+        expect(Steps.body(new Integer(6n)).value).toBe(8n);
+        expect(calls[0]).toMatchObject({ url: MODULE_URL, name: "Steps", args: [serializeValue(new Integer(6n))] });
+
+        // Without a bridge, as on the page, the functions cannot run
+        const onPage = moduleScope(MODULE_URL, MANIFEST, null).functions;
+        expect(() => onPage.Steps.body(new Integer(6n))).toThrow("only runs in the evaluation worker");
+    });
+
+    test("every call runs, however many there are and whatever their arguments", () => {
+        let count = 0;
+        const { bridge, calls } = answeringBridge(() => new Integer(BigInt(++count)));
+        const { Steps } = moduleScope(MODULE_URL, MANIFEST, bridge).functions;
+        let last;
+        for (let i = 0; i < 12000; i++) last = Steps.body(new Integer(1n));
+        expect(last.value).toBe(12000n);
+        expect(calls).toHaveLength(12000);
+    });
+
+    test("passes on errors from the module", async () => {
+        const port = new FakePort();
+        const sandbox = await openSandbox(port);
+        const answer = sandbox.call("Steps", [null]);
+        port.reply({ id: 1, error: "n must be positive" });
+        await expect(answer).rejects.toThrow("n must be positive");
+
+        const { bridge } = answeringBridge(() => {
+            throw new Error("n must be positive");
+        });
+        const { Steps } = moduleScope(MODULE_URL, MANIFEST, bridge).functions;
+        expect(() => Steps.body(undefined)).toThrow("n must be positive");
+    });
+
+    test("stops a module whose call runs too long", async () => {
+        const port = new FakePort();
+        const sandbox = await openSandbox(port);
+        sandbox.timeout = 5;
+        await expect(sandbox.call("Steps", [null])).rejects.toThrow("Steps did not finish within 0.005 seconds");
+        expect(port.closed).toBe(true);
+        await expect(sandbox.call("Steps", [null])).rejects.toThrow("was stopped");
+    });
+});
+
+describe("Trusted JS modules", () => {
+    test("are remembered by the session store", () => {
+        const store = new SessionStore(new MemoryStorage());
+        expect(store.getTrustedModules()).toEqual([]);
+        store.trustModule(MODULE_URL);
+        store.trustModule(MODULE_URL);
+        expect(store.getTrustedModules()).toEqual([MODULE_URL]);
+        expect(store.list()).toEqual([]);
+    });
+});
+
+describe("WebCalc: loading JS modules", () => {
+    let calc;
+    let confirm;
+
+    beforeEach(() => {
+        global.localStorage = new MemoryStorage();
+        calc = new TestWebCalculator();
+        confirm = global.window.confirm;
+    });
+
+    afterEach(() => {
+        delete global.localStorage;
+        global.window.confirm = confirm;
+    });
+
+    test("asks once before running a module from another site", () => {
+        const asked = [];
+        global.window.confirm = (message) => {
+            asked.push(message);
+            return true;
+        };
+        expect(calc.confirmModuleLoad(MODULE_URL)).toBe(true);
+        expect(calc.confirmModuleLoad(MODULE_URL)).toBe(true);
+        expect(asked).toHaveLength(1);
+        expect(asked[0]).toContain(MODULE_URL);
+
+        global.window.confirm = () => false;
+        expect(calc.confirmModuleLoad("https://other.example.com/mod.js")).toBe(false);
+        expect(calc.sessionStore.getTrustedModules()).toEqual([MODULE_URL]);
+    });
+
+    test("refuses every JS module when it cannot be sandboxed", async () => {
+        expect(ModuleSandbox.available()).toBe(false);
+        global.fetch = () => Promise.resolve({ ok: true, text: () => Promise.resolve("") });
+        await expect(calc.loadFileModule(MODULE_URL)).rejects.toThrow("cross-origin isolated page");
+        await expect(calc.loadFileModule("collatz.js")).rejects.toThrow("cross-origin isolated page");
+        expect(calc.variableManager.modules.has("Collatz")).toBe(false);
+    });
+
+    test("runs the calls of the evaluation worker in the sandbox and hands back the outcome", async () => {
+        const port = new FakePort();
+        calc.moduleSandboxes.set(MODULE_URL, await openSandbox(port));
+        const evaluator = { posted: [], postMessage(message) { this.posted.push(message); } };
+        calc.evaluator = evaluator;
+
+        calc.processExpression("Steps(6)");
+        const { id, modules } = evaluator.posted[0];
+        expect(modules).toEqual([[MODULE_URL, MANIFEST]]);
+
+        // What the worker's ModuleBridge posts before it waits
+        const bridge = new ModuleBridge(() => { });
+        const args = [serializeValue(new Integer(6n))];
+        const call = { url: MODULE_URL, name: "Steps", args, signal: bridge.signal, reply: bridge.reply };
+        calc.handleEvaluatorMessage({ type: "moduleCall", id, call });
+        expect(port.posted).toEqual([{ id: 1, name: "Steps", args: call.args }]);
+        expect(Atomics.load(bridge.signal, 0)).toBe(0);
+
+        port.reply({ id: 1, result: serializeValue(new Integer(8n)) });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        expect(Atomics.load(bridge.signal, 0)).toBe(1);
+        const outcome = JSON.parse(new TextDecoder().decode(bridge.reply.slice(0, Atomics.load(bridge.signal, 1))));
+        expect(outcome).toEqual({ result: serializeValue(new Integer(8n)) });
+        expect(calc.evaluation).not.toBeNull();
+        expect(evaluator.posted).toHaveLength(1);
+    });
+
+    test("closes the sandboxes of a cleared session", async () => {
+        const port = new FakePort();
+        calc.moduleSandboxes.set(MODULE_URL, await openSandbox(port));
+        calc.clearHistory();
+        expect(port.closed).toBe(true);
+        expect(calc.moduleSandboxes.size).toBe(0);
+    });
+});
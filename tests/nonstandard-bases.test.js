@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational, RationalInterval } from "@ratmath/core";
+import {
+    BalancedTernary,
+    NegativeBase,
+    BijectiveBase,
+    FactorialBase,
+    ZeckendorfSystem,
+    parseNonstandardBase,
+} from "../src/nonstandard-bases.js";
+import { serializeBase, deserializeBase } from "../src/serialization.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+const expand = (system, n, d = 1n) => system.expand(new Rational(n, d));
+
+describe("Nonstandard positional systems", () => {
+    test("balanced ternary needs no sign", () => {
+        const bal3 = new BalancedTernary();
+        expect(expand(bal3, 5n)).toEqual({ text: "+--", period: 0 });
+        expect(expand(bal3, -5n)).toEqual({ text: "-++", period: 0 });
+        expect(expand(bal3, 1n, 2n)).toEqual({ text: "0.#+", period: 1 });
+        expect(expand(bal3, 1n, 4n)).toEqual({ text: "0.#+-", period: 2 });
+    });
+
+    test("negative bases write every value without a sign", () => {
+        const negabinary = new NegativeBase(2);
+        expect(expand(negabinary, 3n).text).toBe("111");
+        expect(expand(negabinary, 1n, 3n)).toEqual({ text: "1.#10", period: 2 });
+        expect(expand(new NegativeBase(10), -15n).text).toBe("25");
+        expect(expand(new NegativeBase(10), 1n, 7n)).toEqual({ text: "1.#958", period: 3 });
+    });
+
+    test("bijective bases have no zero digit", () => {
+        const bij10 = new BijectiveBase(10);
+        expect(expand(bij10, 10n).text).toBe("A");
+        expect(expand(bij10, 0n).text).toBe("ε");
+        expect(expand(bij10, 3n, 2n)).toEqual({ text: "1.4#9", period: 1 });
+        expect(expand(bij10, 1n, 9n)).toEqual({ text: ".#1", period: 1 });
+        expect(() => expand(bij10, 1n, 20n)).toThrow("no bijective base-10 expansion");
+    });
+
+    test("the factorial base terminates for every rational", () => {
+        const fac = new FactorialBase();
+        expect(expand(fac, 463n)).toEqual({ text: "341010", period: 0 });
+        expect(expand(fac, 0n).text).toBe("0");
+        expect(expand(fac, 5n, 6n).text).toBe("0.12");
+        expect(expand(fac, -3n, 2n).text).toBe("-10.1");
+        expect(expand(fac, 1n, 41n).text.endsWith("(40)")).toBe(true);
+    });
+
+    test("Zeckendorf sums never use consecutive Fibonacci numbers", () => {
+        const zeck = new ZeckendorfSystem();
+        expect(expand(zeck, 12n).text).toBe("10101");
+        expect(expand(zeck, 100n).text).toBe("1000010100");
+        expect(expand(zeck, -7n).text).toBe("-1010");
+        expect(() => expand(zeck, 1n, 2n)).toThrow("only defined for integers");
+    });
+
+    test("parse names and serialize with the other bases", () => {
+        expect(parseNonstandardBase("balanced")).toBeInstanceOf(BalancedTernary);
+        expect(parseNonstandardBase("Negabinary").spec).toBe("-2");
+        expect(parseNonstandardBase("neg16").spec).toBe("-16");
+        expect(parseNonstandardBase("bij26").name).toBe("Bijective base 26");
+        expect(parseNonstandardBase("factoradic")).toBeInstanceOf(FactorialBase);
+        expect(parseNonstandardBase("zeck")).toBeInstanceOf(ZeckendorfSystem);
+        expect(parseNonstandardBase("hms")).toBe(null);
+        expect(() => parseNonstandardBase("-40")).toThrow("Negative bases run from -2 to -36");
+        const restored = deserializeBase(serializeBase(new NegativeBase(3)));
+        expect(restored.equals(new NegativeBase(3))).toBe(true);
+    });
+});
+
+describe("WebCalc: nonstandard output bases", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+        calc.processExpression("RAT");
+    });
+
+    test("show expansions with their period next to the result", () => {
+        calc.processExpression("BASE 10->[10,bal3,-2,bij10]");
+        expect(calc.getLastLog()).toBe(
+            "Input base: Base 10 (base 10)\n" +
+            "Output bases: Base 10 (base 10), Balanced ternary (bal3), Negabinary (-2), Bijective base 10 (bij10)",
+        );
+        expect(calc.formatResult(new Rational(1n, 3n))).toBe(
+            "1/3 (0.+[bal3], 1.#10[-2] {period: 2}, .#3[bij10] {period: 1})",
+        );
+        const interval = new RationalInterval(new Rational(1n), new Rational(2n));
+        expect(calc.formatResult(interval)).toContain("+[bal3]:+-[bal3]");
+        expect(calc.buildSessionScript()).toContain("BASE 10->[10,bal3,-2,bij10]");
+    });
+
+    test("leave out Zeckendorf for fractions", () => {
+        calc.processExpression("BASE 10->[10,fac,zeck]");
+        calc.processExpression("12");
+        expect(calc.getLastLog()).toBe("12 (2000[fac], 10101[zeck])");
+        calc.processExpression("5/6");
+        expect(calc.getLastLog()).toBe("5/6 (0.12[fac])");
+    });
+
+    test("are output only", () => {
+        calc.processExpression("BASE bal3");
+        expect(calc.getLastLog()).toBe("Error: Balanced ternary can only be used for output (e.g. BASE 10->[10,bal3])");
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { Rational } from "@ratmath/core";
+import { periodAnalysis } from "../src/period-analysis.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("Period analysis", () => {
+    test("explains the preperiod and period from the denominator", () => {
+        const analysis = periodAnalysis(new Rational(1n, 84n), 10);
+        expect(analysis.preperiod).toBe(2);
+        expect(analysis.period).toBe(6n);
+        expect(analysis.modulus).toBe(21n);
+        expect(analysis.factors).toEqual([
+            { prime: 2n, exponent: 2, preperiod: 2 },
+            { prime: 3n, exponent: 1, order: 1n },
+            { prime: 7n, exponent: 1, order: 6n },
+        ]);
+        expect(analysis.cyclic.value).toBe(false);
+    });
+
+    test("recognizes cyclic repetends", () => {
+        expect(periodAnalysis(new Rational(1n, 7n), 10).cyclic.value).toBe(true);
+        expect(periodAnalysis(new Rational(1n, 70n), 10).cyclic.value).toBe(true);
+        expect(periodAnalysis(new Rational(3n, 7n), 10).cyclic.reason).toBe("it is a rotation of the cyclic repetend of 1/7");
+        expect(periodAnalysis(new Rational(1n, 31n), 10).cyclic.reason).toBe("10 is not a primitive root mod 31 (period 15 < 30)");
+        expect(periodAnalysis(new Rational(1n, 17n), 10).cyclic.value).toBe(true);
+        expect(periodAnalysis(new Rational(1n, 7n), 2).cyclic.value).toBe(false);
+    });
+
+    test("handles denominators far too large for digits", () => {
+        const analysis = periodAnalysis(new Rational(1n, 10n ** 40n + 1n), 10);
+        expect(analysis.period).toBe(80n);
+        expect(analysis.factors.map((factor) => factor.order)).toEqual([16n, 80n, 16n, 80n]);
+    });
+});
+
+describe("WebCalc: PERIOD command", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.processExpression("MIX OFF");
+    });
+
+    test("reports the structure of an expansion", () => {
+        calc.processExpression("PERIOD 1/84");
+        expect(calc.getLastLog()).toBe([
+            "1/84 in base 10",
+            "Preperiod: 2",
+            "Period: 6 (the lcm of the orders below)",
+            "Order of 10 mod 21: 6",
+            "Cyclic repetend: no (21 is not prime)",
+            "Denominator: 2^2 · 3 · 7",
+            "  2^2: divides a power of 10, needing 2 preperiod digits",
+            "  3: 10 has order 1 mod 3",
+            "  7: 10 has order 6 mod 7",
+        ].join("\n"));
+    });
+
+    test("takes a trailing base", () => {
+        calc.processExpression("PERIOD 1/3 2");
+        expect(calc.getLastLog()).toContain("1/3 in base 2\nPreperiod: 0\nPeriod: 2\n");
+        calc.processExpression("PERIOD 3/8 2");
+        expect(calc.getLastLog()).toContain("Order of 2: none (the denominator has no factors coprime to 2)");
+        calc.processExpression("PERIOD 1/7 + 2");
+        expect(calc.getLastLog()).toContain("15/7 in base 10");
+    });
+});
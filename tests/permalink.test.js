@@ -0,0 +1,116 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, MemoryStorage, TestWebCalculator } from "./helpers/web-calculator.js";
+import { SessionStore } from "../src/session-store.js";
+
+useBrowserGlobals();
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe("WebCalc: Permalinks", () => {
+    beforeEach(() => {
+        global.window = {
+            innerWidth: 1024,
+            location: { origin: "https://example.com", pathname: "/calc.html", search: "", hash: "" },
+            history: { replaceState: (state, title, url) => { global.window.replacedUrl = url; } },
+        };
+    });
+
+    test("replays ?run= parameters and #run= lines in order", async () => {
+        global.window.location.search = "?run=x%20%3D%203&run=RAT";
+        global.window.location.hash = "#run=y%20%3D%20x%2F2%0Ay%2B1";
+
+        const calc = new TestWebCalculator();
+        await tick();
+
+        expect(calc.outputMode).toBe("RAT");
+        expect(calc.variableManager.getVariables().get("y").toString()).toBe("3/2");
+        expect(calc.outputHistory.at(-1).output).toContain("2..1/2");
+        expect(global.window.replacedUrl).toBe("/calc.html");
+    });
+
+    test("SHARE builds a link that reproduces the computation", async () => {
+        const calc = new TestWebCalculator();
+        await tick();
+        calc.processExpression("x = 2");
+        calc.processExpression("LIMIT 40");
+        calc.processExpression("x/3");
+        calc.processExpression("SHARE");
+
+        const link = calc.getLastLog().split("\n").pop();
+        expect(link.startsWith("https://example.com/calc.html#run=")).toBe(true);
+
+        global.window.location.hash = link.substring(link.indexOf("#"));
+        const replayed = new TestWebCalculator();
+        await tick();
+        expect(replayed.decimalLimit).toBe(40);
+        expect(replayed.outputHistory.at(-1).output).toContain("2/3");
+    });
+
+    test("a shared link replays in a scratch session and leaves the saved one alone", async () => {
+        global.localStorage = new MemoryStorage();
+        const saved = new TestWebCalculator();
+        await tick();
+        saved.processExpression("z = 7");
+
+        global.window.location.hash = "#run=y%20%3D%202";
+        const calc = new TestWebCalculator();
+        await tick();
+        expect(calc.scratchSession).toBe(true);
+        expect(calc.variableManager.getVariables().has("z")).toBe(false);
+        expect(calc.getLastLog()).toContain("scratch session");
+        calc.processExpression("w = 1");
+
+        const stored = new SessionStore(global.localStorage).load("default");
+        expect(JSON.stringify(stored)).toContain("\"z\"");
+        expect(JSON.stringify(stored)).not.toContain("\"y\"");
+        expect(JSON.stringify(stored)).not.toContain("\"w\"");
+
+        calc.processExpression("SESSIONS default");
+        expect(calc.scratchSession).toBe(false);
+        expect(calc.variableManager.getVariables().get("z").toString()).toBe("7");
+    });
+
+    test("a shared link cannot switch, clear or delete sessions", async () => {
+        global.localStorage = new MemoryStorage();
+        const saved = new TestWebCalculator();
+        await tick();
+        saved.processExpression("z = 7");
+        const before = JSON.stringify([...global.localStorage.items]);
+
+        global.window.location.hash = `#run=${encodeURIComponent("SESSIONS x\nCLEAR\ny = 2\nSESSIONS DELETE default")}`;
+        const calc = new TestWebCalculator();
+        await tick();
+        expect(calc.scratchSession).toBe(true);
+        expect(calc.variableManager.getVariables().get("y").toString()).toBe("2");
+        expect(JSON.stringify([...global.localStorage.items])).toBe(before);
+    });
+
+    test("SHARE only reports the link as copied once the clipboard took it", async () => {
+        let accept;
+        global.navigator = { clipboard: { writeText: () => new Promise((resolve, reject) => { accept = { resolve, reject }; }) } };
+        const calc = new TestWebCalculator();
+        await tick();
+        calc.processExpression("SHARE 1/3");
+        expect(calc.logs || []).toEqual([]);
+        accept.resolve();
+        await tick();
+        expect(calc.getLastLog()).toStartWith("Share link (copied to clipboard):\n");
+
+        calc.processExpression("SHARE 1/3");
+        accept.reject(new Error("denied"));
+        await tick();
+        expect(calc.getLastLog()).toStartWith("Share link:\n");
+        expect(calc.outputHistory.at(-1).input).toBe("SHARE 1/3");
+    });
+
+    test("SHARE ALL replays successful inputs only", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("a = 1/4");
+        calc.processExpression("1/0");
+        calc.processExpression("a*2");
+
+        const link = calc.buildShareLink("ALL");
+        const lines = decodeURIComponent(link.split("#run=")[1]).split("\n");
+        expect(lines).toEqual(["a = 1/4", "a*2"]);
+    });
+});
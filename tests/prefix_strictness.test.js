@@ -1,61 +1,9 @@
 import { describe, test, expect, beforeEach } from "bun:test";
-import { WebCalculator } from "../src/web-calc.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
 import { BaseSystem } from "@ratmath/core";
 
 // Mock global document if it doesn't exist (Bun environment might not have it)
-if (typeof document === "undefined") {
-    global.document = {
-        addEventListener: () => { },
-        getElementById: () => ({ value: "", focus: () => { }, addEventListener: () => { } }),
-    };
-    global.window = { innerWidth: 1024 };
-}
-
-class TestWebCalculator extends WebCalculator {
-    constructor() {
-        super();
-        this.logs = [];
-    }
-
-    // Override DOM initialization to be safe
-    initializeElements() {
-        this.inputElement = {
-            value: "",
-            focus: () => { },
-            addEventListener: () => { },
-            setAttribute: () => { }
-        };
-        // Mock other properties needed
-        this.outputHistoryElement = { appendChild: () => { }, scrollHeight: 0, scrollTop: 0 };
-    }
-
-    setupEventListeners() {
-        // No-op
-    }
-
-    displayWelcome() {
-        // No-op
-    }
-
-    // Capture output
-    addToOutput(input, output, isError) {
-        if (output) {
-            this.logs.push(output);
-        }
-    }
-
-    finishEntry(output) {
-        // No-op
-    }
-
-    getLastLog() {
-        return this.logs[this.logs.length - 1];
-    }
-
-    clearLogs() {
-        this.logs = [];
-    }
-}
+useBrowserGlobals();
 
 describe("WebCalculator Prefix Strictness", () => {
     let calc;
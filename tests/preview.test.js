@@ -0,0 +1,98 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("WebCalc: Live preview", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+    });
+
+    test("previews values in the current output mode without recording them", () => {
+        expect(calc.getPreview("1/3 + 1/6")).toEqual({ text: "= 0.5 (1/2)", isError: false });
+
+        calc.processExpression("RAT");
+        const historyLength = calc.history.length;
+        const outputLength = calc.outputHistory.length;
+        expect(calc.getPreview("2/6").text).toBe("= 1/3");
+        expect(calc.history.length).toBe(historyLength);
+        expect(calc.outputHistory.length).toBe(outputLength);
+    });
+
+    test("previews the right-hand side of an assignment without assigning", () => {
+        expect(calc.getPreview("y = 2 + 3").text).toBe("= 5");
+        expect(calc.variableManager.getVariables().has("y")).toBe(false);
+    });
+
+    test("reports parse errors inline", () => {
+        const preview = calc.getPreview("1 + (2");
+        expect(preview.isError).toBe(true);
+        expect(preview.text.length).toBeGreaterThan(0);
+    });
+
+    test("skips commands, definitions and expensive inputs", () => {
+        for (const input of ["LIMIT 5", "LOAD reals", "SUM[i](i,1,10)", "SEQ[i](i,1,10)", "F(x) -> x", "2^100000", ""]) {
+            expect(calc.getPreview(input)).toBeNull();
+        }
+    });
+
+    test("skips calls to user functions but previews built-in ones", () => {
+        calc.processExpression("Twice(n) -> 2*n");
+        expect(calc.getPreview("Twice(3) + 1")).toBeNull();
+        expect(calc.getPreview("x = 2*Twice(3)")).toBeNull();
+        expect(calc.getPreview("Egypt(3/4)")).not.toBeNull();
+    });
+});
+
+describe("WebCalc: Previews in the side worker", () => {
+    let calc;
+    let worker;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+        calc.inputPreview = document.getElementById("inputPreview");
+        worker = { messages: [], terminated: false, postMessage(message) { this.messages.push(message); }, terminate() { this.terminated = true; } };
+        calc.sideEvaluator = worker;
+    });
+
+    const reply = (message, output) => calc.handleSideMessage({ type: "result", id: message.id, output });
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    test("sends the input to the side worker and shows its reply", async () => {
+        calc.inputElement.value = "1/2 + 1/2";
+        calc.updatePreview();
+        expect(worker.messages[0].command).toEqual({ name: "PREVIEW", args: "1/2 + 1/2" });
+        expect(worker.messages[0].timeLimit).toBeGreaterThan(0);
+
+        reply(worker.messages[0], { text: "= 1", isError: false });
+        await settle();
+        expect(calc.inputPreview.textContent).toBe("= 1");
+        expect(calc.inputPreview.style.display).toBe("block");
+    });
+
+    test("drops replies for input that has changed since", async () => {
+        calc.inputElement.value = "1 +";
+        calc.updatePreview();
+        calc.inputElement.value = "1 + 2";
+        calc.updatePreview();
+        // The newer preview waits for the older one, and only its reply is shown
+        expect(worker.messages.length).toBe(1);
+        reply(worker.messages[0], { text: "Parse error", isError: true });
+        await settle();
+        expect(calc.inputPreview.textContent).toBe("");
+
+        expect(worker.messages[1].command.args).toBe("1 + 2");
+        reply(worker.messages[1], { text: "= 3", isError: false });
+        await settle();
+        expect(calc.inputPreview.textContent).toBe("= 3");
+    });
+
+    test("stops the side worker when a command runs past its time limit", async () => {
+        const outcome = calc.runSideCommand({ name: "PREVIEW", args: "1" }, 5).catch((error) => error);
+        expect((await outcome).message).toContain("did not finish");
+        expect(worker.terminated).toBe(true);
+        expect(calc.sideEvaluator).toBeNull();
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+import { Rational } from "@ratmath/core";
+
+useBrowserGlobals();
+
+describe("WebCalc: References to previous results", () => {
+    let calc;
+
+    beforeEach(() => {
+        calc = new TestWebCalculator();
+    });
+
+    test("ans is the exact last result, even when the display was truncated", () => {
+        calc.processExpression("LIMIT 3");
+        calc.processExpression("1/7");
+        expect(calc.getLastLog()).toContain("...");
+        expect(calc.variableManager.getVariables().get("ans").equals(new Rational(1, 7))).toBe(true);
+
+        calc.processExpression("ans * 7");
+        expect(calc.getLastLog()).toBe("1");
+    });
+
+    test("out[n] and _n refer to numbered results", () => {
+        calc.processExpression("1/3");
+        calc.processExpression("x = 2");
+        calc.processExpression("1:2");
+        expect(calc.numbers.filter((n) => n !== null)).toEqual([1, 2]);
+
+        calc.processExpression("out[1] * 3");
+        expect(calc.getLastLog()).toBe("1");
+        calc.processExpression("_2 + 1");
+        expect(calc.getLastLog()).toContain("2:3");
+        expect(calc.history[calc.history.length - 2]).toBe("out[1] * 3");
+    });
+
+    test("unknown result numbers are reported", () => {
+        calc.processExpression("5");
+        calc.processExpression("out[4] + 1");
+        expect(calc.getLastLog()).toBe("Error: out[4] does not exist (results so far: 1)");
+    });
+
+    test("shared expressions carry the exact values they reference", () => {
+        calc.processExpression("2/3");
+        expect(calc.inlineResultReferences("out[1] + ans")).toBe("(0d2/3) + (0d2/3)");
+        calc.processExpression("1:2");
+        const script = calc.buildSessionScript();
+        expect(script).not.toContain("ans =");
+        expect(script).not.toContain("_2 =");
+    });
+
+    test("SHARE ALL writes each reference as the value it had at the time", () => {
+        global.window.location = { origin: "https://example.com", pathname: "/calc.html" };
+        calc.processExpression("1/2");
+        calc.processExpression("ans*4");
+        calc.processExpression("ans + out[1]");
+        const link = calc.buildShareLink("ALL");
+        const lines = decodeURIComponent(link.split("#run=")[1]).split("\n");
+        expect(lines).toEqual(["1/2", "(0d1/2)*4", "(0d2) + (0d1/2)"]);
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { useBrowserGlobals, MemoryStorage, TestWebCalculator } from "./helpers/web-calculator.js";
+import { SessionStore } from "../src/session-store.js";
+import { serializeValue, deserializeValue } from "../src/serialization.js";
+import { Rational, RationalInterval, Integer } from "@ratmath/core";
+
+useBrowserGlobals();
+
+describe("Value serialization", () => {
+    test("round-trips rationals, integers and intervals exactly", () => {
+        const values = [
+            new Rational(-22n, 7n),
+            new Integer(12345678901234567890n),
+            new RationalInterval(new Rational(1, 3), new Rational(1, 2)),
+        ];
+        for (const value of values) {
+            const copy = deserializeValue(JSON.parse(JSON.stringify(serializeValue(value))));
+            expect(copy.constructor).toBe(value.constructor);
+            expect(copy.toString()).toBe(value.toString());
+        }
+    });
+});
+
+describe("WebCalc: Session persistence", () => {
+    beforeEach(() => {
+        global.localStorage = new MemoryStorage();
+    });
+
+    test("restores variables, functions, settings and history after reload", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("x = 1/3");
+        calc.processExpression("F(y) -> y*2");
+        calc.processExpression("RAT");
+        calc.processExpression("LIMIT 50");
+        calc.processExpression("BASE 10->16");
+
+        const reloaded = new TestWebCalculator();
+        expect(reloaded.outputMode).toBe("RAT");
+        expect(reloaded.decimalLimit).toBe(50);
+        expect(reloaded.outputBases[0].base).toBe(16);
+        expect(reloaded.history).toContain("x = 1/3");
+        expect(reloaded.outputHistory.length).toBe(calc.outputHistory.length);
+
+        reloaded.processExpression("F(x)");
+        expect(reloaded.getLastLog()).toContain("2/3");
+    });
+
+    test("CLEAR discards the saved session", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("x = 5");
+        calc.processExpression("CLEAR");
+
+        const reloaded = new TestWebCalculator();
+        expect(reloaded.variableManager.getVariables().has("x")).toBe(false);
+        expect(reloaded.outputHistory.length).toBe(0);
+    });
+
+    test("SESSIONS switches between and deletes named sessions", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("x = 5");
+
+        calc.processExpression("SESSIONS work");
+        expect(calc.sessionName).toBe("work");
+        expect(calc.variableManager.getVariables().has("x")).toBe(false);
+        calc.processExpression("y = 7");
+
+        calc.processExpression("SESSIONS");
+        expect(calc.getLastLog()).toContain("* work (current)");
+        expect(calc.getLastLog()).toContain("default");
+
+        calc.processExpression("SESSIONS default");
+        expect(calc.variableManager.getVariables().get("x").toString()).toBe("5");
+
+        calc.processExpression("SESSIONS DELETE work");
+        expect(calc.getLastLog()).toBe("Deleted session 'work'");
+        expect(new SessionStore(global.localStorage).list()).toEqual(["default"]);
+
+        calc.processExpression("SESSIONS DELETE default");
+        expect(calc.getLastLog()).toContain("Cannot delete the current session");
+    });
+});
+
+describe("WebCalc: SAVE/EXPORT session scripts", () => {
+    test("exported script loads back definitions, custom bases and settings", async () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("[20] = 0123456789abcdefghij");
+        calc.processExpression("x = 1/3");
+        calc.processExpression("G(y) -> y + 1");
+        calc.processExpression("F(y, k?2) -> G(y)*k");
+        calc.processExpression("RAT");
+        calc.processExpression("LIMIT 30");
+        calc.processExpression("BASE 10->[20]");
+
+        const script = calc.buildSessionScript();
+        expect(script).toContain("[20] = 0123456789abcdefghij");
+        expect(script).toContain("x = 0d1/3");
+        expect(script).toContain("F(y, k?");
+        expect(script).not.toContain("@@Static@");
+        expect(script).toContain("BASE 10->[20]");
+
+        global.fetch = () => Promise.resolve({ ok: true, text: () => Promise.resolve(script) });
+        const fresh = new TestWebCalculator();
+        await fresh.loadFileModule("http://example.com/session.rat");
+
+        expect(fresh.outputMode).toBe("RAT");
+        expect(fresh.decimalLimit).toBe(30);
+        expect(fresh.customBases.has(20)).toBe(true);
+        expect(fresh.outputBases[0].base).toBe(20);
+        expect(fresh.variableManager.getVariables().get("x").toString()).toBe("1/3");
+
+        // Loading applies the script's commands without recording them as inputs
+        expect(fresh.history).toEqual([]);
+        expect(fresh.outputHistory).toEqual([]);
+
+        fresh.processExpression("F(1)");
+        expect(fresh.getLastLog()).toContain("4");
+    });
+
+    test("definitions keep the variables and functions they captured", async () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("a = 1");
+        calc.processExpression("F(x) -> x + a");
+        calc.processExpression("a = 2");
+        calc.processExpression("G(x) -> x");
+        calc.processExpression("H(x) -> G(x) + 1");
+        calc.processExpression("G(x) -> 2*x");
+
+        const script = calc.buildSessionScript();
+        expect(script).not.toContain("@@Static@");
+
+        global.fetch = () => Promise.resolve({ ok: true, text: () => Promise.resolve(script) });
+        const fresh = new TestWebCalculator();
+        await fresh.loadFileModule("http://example.com/session.rat");
+        fresh.processExpression("F(0)");
+        expect(fresh.getLastLog()).toBe("1");
+        fresh.processExpression("H(3)");
+        expect(fresh.getLastLog()).toBe("4");
+        fresh.processExpression("G(3)");
+        expect(fresh.getLastLog()).toBe("6");
+    });
+
+    test("functions are written after BASE, in the input base they are read in", async () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("BASE 16");
+        calc.processExpression("H(y) -> y + 10");
+
+        const script = calc.buildSessionScript();
+        expect(script.indexOf("BASE 16")).toBeLessThan(script.indexOf("H(y) ->"));
+
+        global.fetch = () => Promise.resolve({ ok: true, text: () => Promise.resolve(script) });
+        const fresh = new TestWebCalculator();
+        await fresh.loadFileModule("http://example.com/session.rat");
+        fresh.processExpression("H(1)");
+        expect(fresh.getLastLog()).toBe("17 (0x11)");
+    });
+
+    test("commands in a script that fail are reported with the loaded module", async () => {
+        global.fetch = () => Promise.resolve({ ok: true, text: () => Promise.resolve("RAT\nLIMIT x\nK(y) -> y") });
+        const calc = new TestWebCalculator();
+        const result = await calc.loadFileModule("http://example.com/settings.rat");
+        expect(calc.outputMode).toBe("RAT");
+        expect(result).toContain("Commands that failed:\n  line 2: ");
+        expect(calc.variableManager.getFunctions().has("K")).toBe(true);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, test, expect } from "bun:test";
+import { typesetOutput } from "../src/typeset.js";
+import { useBrowserGlobals, TestWebCalculator } from "./helpers/web-calculator.js";
+
+useBrowserGlobals();
+
+describe("Typeset output", () => {
+    test("stacks fractions and mixed numbers", () => {
+        const html = typesetOutput("1.#142857 (1..1/7)");
+        expect(html).toContain('(1<span class="fraction-2d"><span class="numerator">1</span>');
+        expect(html).toContain('<span class="denominator">7</span>');
+    });
+
+    test("overlines the repeating block only", () => {
+        expect(typesetOutput("0.1#6")).toBe('0.1<span class="repetend">6</span>');
+        expect(typesetOutput("0.#142857142...")).toBe('0.<span class="repetend">142857142</span>…');
+    });
+
+    test("marks non-decimal bases with a subscript", () => {
+        const html = typesetOutput("0.1#6 (1/6) (0x0.2#A, 0.1#2[7])");
+        expect(html).toContain('0.2<span class="repetend">A</span><sub class="base-marker">16</sub>');
+        expect(html).toContain('0.1<span class="repetend">2</span><sub class="base-marker">7</sub>');
+    });
+
+    test("renders intervals with brackets and keeps other text escaped", () => {
+        expect(typesetOutput("0.5:0.75")).toBe('<span class="typeset-interval">[0.5, 0.75]</span>');
+        expect(typesetOutput("<b> {period: 6}")).toBe("&lt;b&gt; {period: 6}");
+    });
+});
+
+describe("WebCalc: TYPESET command", () => {
+    test("toggles the display mode and is saved with the settings", () => {
+        const calc = new TestWebCalculator();
+        calc.processExpression("TYPESET");
+        expect(calc.typesetDisplay).toBe(true);
+        expect(calc.buildSessionScript()).toContain("TYPESET ON");
+
+        calc.processExpression("TYPESET OFF");
+        expect(calc.typesetDisplay).toBe(false);
+        expect(calc.getLastLog()).toBe("Typeset display disabled");
+    });
+});
@@ -1,6 +1,7 @@
 
 import { describe, test, expect, spyOn, beforeEach, afterEach, mock } from "bun:test";
 import { WebCalculator } from "../src/web-calc.js";
+import { useBrowserGlobals } from "./helpers/web-calculator.js";
 import { VariableManager } from "@ratmath/algebra";
 
 // Mock DOM environment
@@ -8,28 +9,30 @@ const mockInput = { value: "", focus: () => { }, setSelectionRange: () => { }, a
 const mockOutput = { appendChild: () => { }, innerHTML: "" };
 const mockElement = { addEventListener: () => { }, style: {}, click: () => { } };
 
-global.document = {
-    getElementById: (id) => {
-        if (id === "calculatorInput") return mockInput;
-        if (id === "outputHistory") return mockOutput;
-        return mockElement;
+useBrowserGlobals(() => ({
+    document: {
+        getElementById: (id) => {
+            if (id === "calculatorInput") return mockInput;
+            if (id === "outputHistory") return mockOutput;
+            return mockElement;
+        },
+        createElement: (tag) => {
+            return {
+                className: "",
+                appendChild: () => { },
+                innerHTML: "",
+                addEventListener: () => { },
+                dataset: {}
+            };
+        },
+        addEventListener: () => { }
     },
-    createElement: (tag) => {
-        return {
-            className: "",
-            appendChild: () => { },
-            innerHTML: "",
-            addEventListener: () => { },
-            dataset: {}
-        };
+    window: {
+        innerWidth: 1024,
+        location: { search: "" },
+        URLSearchParams: class { get() { return null; } }
     },
-    addEventListener: () => { }
-};
-global.window = {
-    innerWidth: 1024,
-    location: { search: "" },
-    URLSearchParams: class { get() { return null; } }
-};
+}));
 
 describe("WebCalculator Advanced Features", () => {
     let calc;